@@ -2,18 +2,321 @@ require('dotenv').config();
 const express = require('express');
 const { Pool } = require('pg');
 const cron = require('node-cron');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const dns = require('dns');
+const net = require('net');
+const nodemailer = require('nodemailer');
+const sharp = require('sharp');
+const AdmZip = require('adm-zip');
+const { Agent, fetch: undiciFetch } = require('undici');
 
 const app = express();
 app.use(express.json());
 
 // ===================
-// TEST MODE SETTINGS
+// RUNTIME SETTINGS
 // ===================
-const TEST_MODE = false;  // SET TO false WHEN READY TO GO LIVE
-const TEST_EMAIL = 'rjeremyhindman@gmail.com';  // Only this email will receive emails in test mode
+// Stored in the settings table and edited through /api/settings - no redeploy needed.
+// Anything not stored uses the default below. Values are cached for SETTINGS_CACHE_MS,
+// so every instance picks up a change within 30 seconds.
+const SETTINGS_CACHE_MS = 30 * 1000;
 
-// Placeholder image if product image not found
-const PLACEHOLDER_IMAGE = 'https://cdn11.bigcommerce.com/s-m91f4azz/images/stencil/original/image-manager/untitled-design-5-.png?t=1768433349';
+const SETTINGS_SCHEMA = {
+  test_mode: {
+    type: 'boolean',
+    default: false,
+    description: 'Only send to test_allowlist addresses'
+  },
+  test_allowlist: {
+    type: 'stringList',
+    default: [],
+    description: 'Addresses (name@example.com) or domains (@example.com) that still get email in test mode',
+    check: list => list.every(entry => /^[^@\s]*@[^@\s]+\.[^@\s]+$/.test(entry)) ? null : 'entries must be emails or @domains'
+  },
+  placeholder_image: {
+    type: 'url',
+    default: 'https://cdn11.bigcommerce.com/s-m91f4azz/images/stencil/original/image-manager/untitled-design-5-.png?t=1768433349',
+    description: 'Image served by /cart-image and /browse-image when there is no product image'
+  },
+  browse_list_name: {
+    type: 'string',
+    default: 'Peekaboo Browse Abandonment',
+    description: 'ESP list/group that triggers the browse abandonment email'
+  },
+  popup_list_name: {
+    type: 'string',
+    default: 'Peekaboo Website Popup',
+    description: 'ESP list/group for popup signups'
+  },
+  cart_list_names: {
+    type: 'stringList',
+    default: ['Peekaboo Abandoned Cart 1', 'Peekaboo Abandoned Cart 2', 'Peekaboo Abandoned Cart 3'],
+    description: 'ESP lists/groups for cart recovery emails 1, 2 and 3',
+    check: list => list.length === 3 && list.every(name => name.trim()) ? null : 'must be 3 non-empty names'
+  },
+  browse_delay_hours: {
+    type: 'number',
+    default: 2,
+    min: 0,
+    description: 'Hours after a product view before the browse abandonment email'
+  },
+  browse_cart_exclusion_hours: {
+    type: 'number',
+    default: 24,
+    min: 0,
+    description: 'Skip browse emails for shoppers with an unconverted cart updated within this many hours'
+  },
+  browse_batch_size: {
+    type: 'integer',
+    default: 10,
+    min: 1,
+    max: 500,
+    description: 'Browse abandonment emails per processor run'
+  },
+  cart_email_delays: {
+    type: 'numberList',
+    default: parseCartEmailDelays(process.env.CART_EMAIL_DELAYS),
+    description: 'Hours after a cart\'s last update before recovery emails 1, 2 and 3',
+    check: list => list.length === 3 && list[0] > 0 && list[0] < list[1] && list[1] < list[2] ? null : 'must be 3 increasing positive hour values'
+  },
+  cart_batch_size: {
+    type: 'integer',
+    default: 10,
+    min: 1,
+    max: 500,
+    description: 'Carts per recovery step per processor run'
+  },
+  cart_recovery_max_age_days: {
+    type: 'number',
+    default: 7,
+    min: 1,
+    description: 'Carts idle longer than this never start the recovery sequence'
+  },
+  recovery_link_days: {
+    type: 'number',
+    default: 14,
+    min: 1,
+    description: 'Days a /recover link in a cart recovery email keeps working'
+  },
+  image_link_days: {
+    type: 'number',
+    default: 30,
+    min: 1,
+    description: 'Days product images in an email keep loading before they show placeholder_image'
+  },
+  cart_summary_max_items: {
+    type: 'integer',
+    default: 6,
+    min: 1,
+    max: 12,
+    description: 'Line items drawn in /cart-summary-image (the rest are counted as "+ N more")'
+  },
+  coupon_enabled: {
+    type: 'boolean',
+    default: false,
+    description: 'Create single-use coupon codes for qualifying cart recovery emails'
+  },
+  coupon_steps: {
+    type: 'numberList',
+    default: [3],
+    description: 'Cart recovery steps that include a coupon',
+    check: list => list.length > 0 && list.every(step => [1, 2, 3].includes(step)) ? null : 'must list steps 1, 2 and/or 3'
+  },
+  coupon_min_cart_total: {
+    type: 'number',
+    default: 50,
+    min: 0,
+    description: 'Only carts worth at least this much get a coupon'
+  },
+  coupon_discount_type: {
+    type: 'string',
+    default: 'percentage',
+    description: 'percentage or fixed (amount off the cart)',
+    check: value => ['percentage', 'fixed'].includes(value) ? null : 'must be percentage or fixed'
+  },
+  coupon_amount: {
+    type: 'number',
+    default: 10,
+    min: 0.01,
+    description: 'Percent off (percentage) or amount off (fixed)'
+  },
+  coupon_expiry_hours: {
+    type: 'number',
+    default: 72,
+    min: 1,
+    description: 'Hours a coupon stays valid; expired unused codes are deleted from BigCommerce'
+  },
+  retention_browse_events_days: {
+    type: 'integer',
+    default: 90,
+    check: checkRetentionDays,
+    description: 'Days product views are kept before the retention purge rolls them up and deletes them (0 keeps them forever)'
+  },
+  retention_converted_carts_days: {
+    type: 'integer',
+    default: 365,
+    check: checkRetentionDays,
+    description: 'Days after their last update that converted carts are kept (0 keeps them forever)'
+  },
+  retention_abandoned_carts_days: {
+    type: 'integer',
+    default: 180,
+    check: checkRetentionDays,
+    description: 'Days after their last update that unconverted carts are kept (0 keeps them forever)'
+  },
+  retention_email_log_days: {
+    type: 'integer',
+    default: 730,
+    check: checkRetentionDays,
+    description: 'Days email sends are kept (their attributed orders are rolled up first) (0 keeps them forever)'
+  },
+  retention_email_events_days: {
+    type: 'integer',
+    default: 180,
+    check: checkRetentionDays,
+    description: 'Days open/click events and tracked link destinations are kept (0 keeps them forever)'
+  },
+  retention_cart_link_audit_days: {
+    type: 'integer',
+    default: 180,
+    check: checkRetentionDays,
+    description: 'Days cart link audit rows are kept (0 keeps them forever)'
+  },
+  retention_recovery_clicks_days: {
+    type: 'integer',
+    default: 365,
+    check: checkRetentionDays,
+    description: 'Days recovery link clicks are kept (0 keeps them forever)'
+  },
+  retention_session_contacts_days: {
+    type: 'integer',
+    default: 90,
+    check: checkRetentionDays,
+    description: 'Days after a session was last seen that its email is kept (0 keeps them forever)'
+  },
+  retention_order_emails_days: {
+    type: 'integer',
+    default: 730,
+    check: checkRetentionDays,
+    description: 'Days orders keep their customer email; the orders themselves are never purged (0 keeps them forever)'
+  }
+};
+
+// Stats cover the last 30 days, so shorter retention would leave holes in them
+function checkRetentionDays(days) {
+  return days === 0 || days >= 30 ? null : 'must be 0 (keep forever) or at least 30';
+}
+
+// CART_EMAIL_DELAYS=1,24,72 still works as the default for cart_email_delays
+function parseCartEmailDelays(value) {
+  const defaults = [1, 24, 72];
+  if (!value) return defaults;
+
+  const delays = value.split(',').map(h => parseFloat(h.trim()));
+  const valid = delays.length === 3 &&
+    delays.every(h => Number.isFinite(h) && h > 0) &&
+    delays[0] < delays[1] && delays[1] < delays[2];
+
+  if (!valid) {
+    console.error(`Invalid CART_EMAIL_DELAYS "${value}" - expected 3 increasing hour values, using ${defaults.join(',')}`);
+    return defaults;
+  }
+  return delays;
+}
+
+// Returns the value to store, or throws a 400 error
+function validateSetting(key, value) {
+  const definition = SETTINGS_SCHEMA[key];
+  if (!definition) {
+    throw badRequest(`Unknown setting: ${key}`);
+  }
+
+  const fail = message => { throw badRequest(`${key}: ${message}`); };
+
+  switch (definition.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') fail('must be true or false');
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) fail('must be a number');
+      if (definition.type === 'integer' && !Number.isInteger(value)) fail('must be a whole number');
+      if (definition.min !== undefined && value < definition.min) fail(`must be at least ${definition.min}`);
+      if (definition.max !== undefined && value > definition.max) fail(`must be at most ${definition.max}`);
+      break;
+    case 'string':
+      if (typeof value !== 'string' || !value.trim() || value.length > 255) fail('must be a non-empty string (max 255 characters)');
+      break;
+    case 'url':
+      if (typeof value !== 'string' || !/^https?:\/\//.test(value)) fail('must be an http(s) URL');
+      break;
+    case 'stringList':
+      if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) fail('must be a list of strings');
+      break;
+    case 'numberList':
+      if (!Array.isArray(value) || !value.every(item => typeof item === 'number' && Number.isFinite(item))) fail('must be a list of numbers');
+      break;
+  }
+
+  const problem = definition.check ? definition.check(value) : null;
+  if (problem) fail(problem);
+
+  return value;
+}
+
+let settingsCache = null;
+let settingsLoadedAt = 0;
+
+async function getSettings() {
+  if (settingsCache && Date.now() - settingsLoadedAt < SETTINGS_CACHE_MS) {
+    return settingsCache;
+  }
+
+  const result = await pool.query('SELECT key, value FROM settings');
+  const stored = new Map(result.rows.map(row => [row.key, row.value]));
+  const settings = {};
+
+  for (const [key, definition] of Object.entries(SETTINGS_SCHEMA)) {
+    settings[key] = definition.default;
+    if (stored.has(key)) {
+      try {
+        settings[key] = validateSetting(key, stored.get(key));
+      } catch (error) {
+        console.error(`Ignoring invalid stored setting (${error.message}), using default`);
+      }
+    }
+  }
+
+  settingsCache = settings;
+  settingsLoadedAt = Date.now();
+  return settings;
+}
+
+function clearSettingsCache() {
+  settingsCache = null;
+}
+
+// Synchronous read for places that can't wait on the database (error paths, logs)
+function cachedSetting(key) {
+  if (!settingsCache || Date.now() - settingsLoadedAt >= SETTINGS_CACHE_MS) {
+    getSettings().catch(error => console.error('Error refreshing settings:', error.message));
+  }
+  return settingsCache ? settingsCache[key] : SETTINGS_SCHEMA[key].default;
+}
+
+// In test mode only allowlisted addresses (name@example.com) or domains (@example.com) get email
+function isAllowedInTestMode(email, settings) {
+  if (!settings.test_mode) return true;
+
+  const address = normalizeEmail(email);
+  const domain = address.split('@')[1];
+  return settings.test_allowlist.some(entry => {
+    const allowed = entry.toLowerCase();
+    return allowed.startsWith('@') ? allowed.slice(1) === domain : allowed === address;
+  });
+}
 
 // Database connection
 const pool = new Pool({
@@ -21,92 +324,458 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
-// BigCommerce API config
+// Cron jobs are registered next to the code they run, but only start once the schema is current
+const scheduledTasks = [];
+
+function schedule(expression, task) {
+  scheduledTasks.push(cron.schedule(expression, task, { scheduled: false }));
+}
+
+// BigCommerce app credentials for single-click installs (see STORES)
+const BC_CLIENT_ID = process.env.BC_CLIENT_ID;
+const BC_CLIENT_SECRET = process.env.BC_CLIENT_SECRET;
+
+// Store hashes allowed to install the app. Settings, the email provider, suppressions and API keys
+// are shared by every store in a deployment, so it only ever serves one merchant's stores.
+const BC_ALLOWED_STORES = (process.env.BC_ALLOWED_STORES || '').split(',').map(hash => hash.trim()).filter(Boolean);
+
+// Encrypts per-store access tokens at rest
+const TOKEN_ENCRYPTION_KEY = process.env.TOKEN_ENCRYPTION_KEY;
+
+// Optional store configured from the environment (installs that predate the app). It is also
+// the store for storefront requests that don't say which store they came from.
 const BC_STORE_HASH = process.env.BC_STORE_HASH;
 const BC_ACCESS_TOKEN = process.env.BC_ACCESS_TOKEN;
 
+// Orders within this many days of an email send are attributed to it
+const ATTRIBUTION_WINDOW_DAYS = parseInt(process.env.ATTRIBUTION_WINDOW_DAYS) || 7;
+
+// Shared secret sent by BigCommerce in the X-Webhook-Secret header (set when registering webhooks)
+const BC_WEBHOOK_SECRET = process.env.BC_WEBHOOK_SECRET;
+
 // MailerLite API config
 const MAILERLITE_API_KEY = process.env.MAILERLITE_API_KEY;
 
+// Signs one-click unsubscribe links
+const UNSUBSCRIBE_SECRET = process.env.UNSUBSCRIBE_SECRET;
+
+// Signs /recover/:token cart recovery links
+const RECOVERY_LINK_SECRET = process.env.RECOVERY_LINK_SECRET;
+
+// Signs /cart-image and /browse-image tokens: comma-separated "keyId:secret" pairs. The first key
+// signs and every key verifies, so rotate by adding a new key in front and dropping the old one
+// once image_link_days have passed.
+const IMAGE_TOKEN_KEYS = process.env.IMAGE_TOKEN_KEYS;
+
+// Keys the hashes that stand in for erased email addresses (see DATA SUBJECT REQUESTS)
+const SUBJECT_HASH_SECRET = process.env.SUBJECT_HASH_SECRET;
+
+// Signs admin session cookies (browser sign-in with an API key)
+const SESSION_SECRET = process.env.SESSION_SECRET;
+
+// Shared token for provider bounce/complaint webhooks (?token=...)
+const ESP_WEBHOOK_SECRET = process.env.ESP_WEBHOOK_SECRET;
+
+// Email provider config (see EMAIL PROVIDERS)
+const ESP_PROVIDER = process.env.ESP_PROVIDER || 'mailerlite';
+const EMAIL_FROM = process.env.EMAIL_FROM;
+
+// Public URLs used in rendered emails
+const APP_URL = (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+const STORE_URL = (process.env.STORE_URL || '').replace(/\/$/, '');
+
 // ===================
-// DATABASE SETUP
+// DATABASE MIGRATIONS
 // ===================
-async function initDatabase() {
+// Schema changes live in migrations/NNN_description.sql and are applied in numeric order.
+// Never edit an applied migration - add a new numbered file instead.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_LOCK_ID = 727274;  // pg_advisory_lock key so only one instance migrates at a time
+const AUTO_MIGRATE = process.env.AUTO_MIGRATE !== 'false';
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.sql$/.test(file))
+    .map(file => {
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      return {
+        version: parseInt(file, 10),
+        name: file.replace(/^\d+_/, '').replace(/\.sql$/, ''),
+        sql: sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex')
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64),
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Every migration file plus anything recorded in the database that no longer has a file
+async function getMigrationStatus() {
+  await ensureMigrationsTable(pool);
+  const applied = await pool.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  const appliedByVersion = new Map(applied.rows.map(row => [row.version, row]));
+  const migrations = loadMigrations();
+
+  const status = migrations.map(migration => {
+    const row = appliedByVersion.get(migration.version);
+    let state = 'pending';
+    if (row) {
+      state = row.checksum === migration.checksum ? 'applied' : 'modified';
+    }
+    return { version: migration.version, name: migration.name, state: state, appliedAt: row?.applied_at || null };
+  });
+
+  for (const row of applied.rows) {
+    if (!migrations.some(migration => migration.version === row.version)) {
+      status.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at });
+    }
+  }
+  return status.sort((a, b) => a.version - b.version);
+}
+
+// Apply pending migrations, each in its own transaction. Returns how many ran.
+async function runMigrations() {
   const client = await pool.connect();
   try {
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS abandoned_carts (
-        id SERIAL PRIMARY KEY,
-        cart_id VARCHAR(255) UNIQUE NOT NULL,
-        customer_email VARCHAR(255),
-        customer_id INTEGER,
-        cart_data JSONB,
-        cart_total DECIMAL(10,2),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        converted BOOLEAN DEFAULT FALSE,
-        email_sent_1 BOOLEAN DEFAULT FALSE,
-        email_sent_2 BOOLEAN DEFAULT FALSE,
-        email_sent_3 BOOLEAN DEFAULT FALSE
-      );
-
-      CREATE TABLE IF NOT EXISTS browse_events (
-        id SERIAL PRIMARY KEY,
-        session_id VARCHAR(255),
-        customer_email VARCHAR(255),
-        product_id INTEGER,
-        product_name VARCHAR(255),
-        product_url VARCHAR(500),
-        product_image VARCHAR(500),
-        product_price DECIMAL(10,2),
-        viewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        added_to_cart BOOLEAN DEFAULT FALSE,
-        email_sent BOOLEAN DEFAULT FALSE
-      );
-
-      CREATE TABLE IF NOT EXISTS email_log (
-        id SERIAL PRIMARY KEY,
-        email_type VARCHAR(50),
-        recipient_email VARCHAR(255),
-        subject VARCHAR(255),
-        sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        cart_id VARCHAR(255),
-        product_id INTEGER
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_abandoned_carts_email ON abandoned_carts(customer_email);
-      CREATE INDEX IF NOT EXISTS idx_abandoned_carts_converted ON abandoned_carts(converted);
-      CREATE INDEX IF NOT EXISTS idx_browse_events_email ON browse_events(customer_email);
-      CREATE INDEX IF NOT EXISTS idx_browse_events_viewed_at ON browse_events(viewed_at);
-    `);
-    console.log('Database tables initialized');
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+
+    const applied = await client.query('SELECT version FROM schema_migrations');
+    const appliedVersions = new Set(applied.rows.map(row => row.version));
+    const pending = loadMigrations().filter(migration => !appliedVersions.has(migration.version));
+
+    for (const migration of pending) {
+      const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+      console.log(`Applying migration ${label}...`);
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.sql);
+        await client.query(`
+          INSERT INTO schema_migrations (version, name, checksum)
+          VALUES ($1, $2, $3)
+        `, [migration.version, migration.name, migration.checksum]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${label} failed: ${error.message}`);
+      }
+    }
+
+    return pending.length;
   } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
     client.release();
   }
 }
 
 // ===================
-// BIGCOMMERCE API HELPERS
+// STORES
 // ===================
-async function fetchFromBigCommerce(endpoint) {
-  const response = await fetch(`https://api.bigcommerce.com/stores/${BC_STORE_HASH}${endpoint}`, {
-    headers: {
-      'X-Auth-Token': BC_ACCESS_TOKEN,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
+// Stores arrive through the BigCommerce app install flow (or BC_STORE_HASH/BC_ACCESS_TOKEN).
+// Access tokens are stored encrypted; a store object is { storeHash, name, storeUrl, status, accessToken }.
+const STORE_CACHE_MS = 60 * 1000;
+const STORE_HASH_PATTERN = /^[a-z0-9]{1,50}$/;
+
+// Tables whose rows belong to a store
+const STORE_SCOPED_TABLES = ['abandoned_carts', 'browse_events', 'email_log', 'orders', 'cart_link_audit'];
+
+function tokenCipherKey() {
+  if (!TOKEN_ENCRYPTION_KEY) {
+    throw new Error('TOKEN_ENCRYPTION_KEY is not set');
+  }
+  return crypto.createHash('sha256').update(TOKEN_ENCRYPTION_KEY).digest();
+}
+
+// AES-256-GCM, stored as "v1:iv:tag:ciphertext" (base64url parts)
+function encryptToken(token) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', tokenCipherKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), encrypted].map(part => typeof part === 'string' ? part : part.toString('base64url')).join(':');
+}
+
+function decryptToken(value) {
+  const [version, iv, tag, encrypted] = value.split(':');
+  if (version !== 'v1') {
+    throw new Error(`Unknown token encryption version: ${version}`);
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', tokenCipherKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+const storeCache = new Map();
+
+// Returns the store, or null if it was never installed
+async function getStore(storeHash) {
+  if (!storeHash) return null;
+
+  const cached = storeCache.get(storeHash);
+  if (cached && Date.now() - cached.loadedAt < STORE_CACHE_MS) {
+    return cached.store;
+  }
+
+  const result = await pool.query('SELECT * FROM stores WHERE store_hash = $1', [storeHash]);
+  const row = result.rows[0];
+  let store = null;
+
+  if (row) {
+    store = {
+      storeHash: row.store_hash,
+      name: row.name,
+      storeUrl: row.store_url,
+      status: row.status,
+      accessToken: null
+    };
+    if (row.source === 'env') {
+      store.accessToken = row.store_hash === BC_STORE_HASH ? BC_ACCESS_TOKEN : null;
+    } else if (row.access_token) {
+      try {
+        store.accessToken = decryptToken(row.access_token);
+      } catch (error) {
+        console.error(`Cannot decrypt access token for store ${storeHash}:`, error.message);
+      }
     }
-  });
-  
-  if (!response.ok) {
-    throw new Error(`BigCommerce API error: ${response.status}`);
   }
-  
-  return response.json();
+
+  storeCache.set(storeHash, { store: store, loadedAt: Date.now() });
+  return store;
+}
+
+// Installed, not uninstalled, and with a usable token
+async function getActiveStore(storeHash) {
+  const store = await getStore(storeHash);
+  return store && store.status === 'active' && store.accessToken ? store : null;
+}
+
+// Webhook payloads name their store as "stores/{hash}"
+function storeHashFromProducer(producer) {
+  const match = /^stores\/([a-z0-9]+)$/.exec(producer || '');
+  return match ? match[1] : null;
+}
+
+// Storefront requests carry the hash the tracker was served with; older tracker installs fall back to BC_STORE_HASH
+async function resolveRequestStore(req) {
+  const storeHash = req.body?.storeHash || req.query.store || BC_STORE_HASH;
+  return STORE_HASH_PATTERN.test(storeHash || '') ? getActiveStore(storeHash) : null;
+}
+
+// Subscriber fields / template data describing the store an email is about
+function storeFields(store) {
+  return {
+    store_hash: store.storeHash,
+    store_name: store.name || '',
+    store_url: store.storeUrl || STORE_URL
+  };
+}
+
+// Registers the BC_STORE_HASH store and assigns rows from before multi-store support to it. The
+// assignment happens once per table (recorded in store_backfills): a NULL store_hash seen later is
+// a row whose store couldn't be resolved, not a legacy row.
+async function registerEnvStore() {
+  if (!BC_STORE_HASH || !BC_ACCESS_TOKEN) return;
+
+  await pool.query(`
+    INSERT INTO stores (store_hash, store_url, source, status)
+    VALUES ($1, $2, 'env', 'active')
+    ON CONFLICT (store_hash) 
+    DO UPDATE SET 
+      store_url = COALESCE(EXCLUDED.store_url, stores.store_url),
+      status = 'active',
+      uninstalled_at = NULL,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE stores.source = 'env'
+  `, [BC_STORE_HASH, STORE_URL || null]);
+  storeCache.delete(BC_STORE_HASH);
+
+  for (const table of STORE_SCOPED_TABLES) {
+    const adopted = await pool.query(`
+      WITH claimed AS (
+        INSERT INTO store_backfills (table_name, store_hash) VALUES ($1, $2)
+        ON CONFLICT (table_name) DO NOTHING
+        RETURNING table_name
+      )
+      UPDATE ${table} SET store_hash = $2
+      WHERE store_hash IS NULL AND EXISTS (SELECT 1 FROM claimed)
+    `, [table, BC_STORE_HASH]);
+    if (adopted.rowCount > 0) {
+      console.log(`Assigned ${adopted.rowCount} ${table} rows to store ${BC_STORE_HASH}`);
+    }
+  }
+}
+
+// ===================
+// BIGCOMMERCE API CLIENT
+// ===================
+// Every BigCommerce call goes through fetchFromBigCommerce. It waits out each store's rate limit
+// window when the quota runs low, and retries 429s, 5xx responses and network errors with jittered
+// exponential backoff. POSTs are only retried on 429, since a 5xx may already have created something.
+const BC_API_MAX_RETRIES = 4;
+const BC_API_BASE_DELAY_MS = 500;
+const BC_API_MAX_DELAY_MS = 30 * 1000;
+const BC_API_TIMEOUT_MS = 15 * 1000;
+const BC_RATE_LIMIT_RESERVE = 2;   // pause when this few requests are left in the window
+const BC_PAGE_LIMIT = 250;
+
+const bcRateLimits = new Map();    // storeHash -> epoch ms when requests may resume
+
+// Counters since startup, exposed at /api/bigcommerce/metrics
+const bcMetrics = {
+  requests: 0,
+  retries: 0,
+  rateLimited: 0,
+  throttledMs: 0,
+  failures: 0,
+  totalLatencyMs: 0,
+  byStatus: {},
+  byStore: {}
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function bigCommerceRetryDelay(attempt) {
+  const ceiling = Math.min(BC_API_BASE_DELAY_MS * 2 ** attempt, BC_API_MAX_DELAY_MS);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+async function waitForRateLimit(storeHash) {
+  const waitMs = (bcRateLimits.get(storeHash) || 0) - Date.now();
+  if (waitMs > 0) {
+    bcMetrics.throttledMs += waitMs;
+    await sleep(waitMs);
+  }
+}
+
+// Returns the reset window (ms) when this response says to slow down, otherwise null
+function recordRateLimit(storeHash, response) {
+  const left = parseInt(response.headers.get('X-Rate-Limit-Requests-Left'));
+  const resetMs = parseInt(response.headers.get('X-Rate-Limit-Time-Reset-Ms'));
+  const exhausted = response.status === 429 || (Number.isFinite(left) && left <= BC_RATE_LIMIT_RESERVE);
+
+  if (!exhausted) return null;
+
+  const waitMs = Number.isFinite(resetMs) ? resetMs : BC_API_BASE_DELAY_MS;
+  bcRateLimits.set(storeHash, Math.max(bcRateLimits.get(storeHash) || 0, Date.now() + waitMs));
+  return waitMs;
+}
+
+function countRequest(storeHash, status, latencyMs) {
+  bcMetrics.requests++;
+  bcMetrics.totalLatencyMs += latencyMs;
+  bcMetrics.byStatus[status] = (bcMetrics.byStatus[status] || 0) + 1;
+  bcMetrics.byStore[storeHash] = (bcMetrics.byStore[storeHash] || 0) + 1;
+}
+
+async function fetchFromBigCommerce(store, endpoint, options = {}) {
+  const method = options.method || 'GET';
+  const retryServerErrors = method !== 'POST';
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForRateLimit(store.storeHash);
+
+    const started = Date.now();
+    let response;
+    try {
+      response = await fetch(`https://api.bigcommerce.com/stores/${store.storeHash}${endpoint}`, {
+        method: method,
+        headers: {
+          'X-Auth-Token': store.accessToken,
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: options.body ? JSON.stringify(options.body) : undefined,
+        signal: AbortSignal.timeout(BC_API_TIMEOUT_MS)
+      });
+    } catch (error) {
+      countRequest(store.storeHash, 'network_error', Date.now() - started);
+      if (retryServerErrors && attempt < BC_API_MAX_RETRIES) {
+        bcMetrics.retries++;
+        const delay = bigCommerceRetryDelay(attempt);
+        console.warn(`BigCommerce ${method} ${endpoint} failed (${error.message}), retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+      bcMetrics.failures++;
+      throw error;
+    }
+
+    countRequest(store.storeHash, response.status, Date.now() - started);
+    const resetMs = recordRateLimit(store.storeHash, response);
+
+    if (response.ok) {
+      return response.status === 204 ? null : response.json();
+    }
+
+    const retryable = response.status === 429 || (retryServerErrors && response.status >= 500);
+    if (response.status === 429) {
+      bcMetrics.rateLimited++;
+    }
+
+    if (retryable && attempt < BC_API_MAX_RETRIES) {
+      bcMetrics.retries++;
+      // 429s wait for the window to reset (waitForRateLimit), plus jitter so queued calls don't stampede
+      const delay = response.status === 429 ? Math.round(Math.random() * BC_API_BASE_DELAY_MS) : bigCommerceRetryDelay(attempt);
+      console.warn(`BigCommerce ${method} ${endpoint} returned ${response.status}, retrying in ${(resetMs || 0) + delay}ms`);
+      await response.body?.cancel().catch(() => {});
+      await sleep(delay);
+      continue;
+    }
+
+    bcMetrics.failures++;
+    const error = new Error(`BigCommerce API error: ${response.status}`);
+    error.status = response.status;
+    error.body = await response.text().catch(() => '');
+    throw error;
+  }
+}
+
+// Yields every item of a paginated v3 collection
+async function* paginateBigCommerce(store, endpoint) {
+  const separator = endpoint.includes('?') ? '&' : '?';
+  for (let page = 1; ; page++) {
+    const result = await fetchFromBigCommerce(store, `${endpoint}${separator}page=${page}&limit=${BC_PAGE_LIMIT}`);
+    yield* result.data || [];
+
+    const pagination = result.meta?.pagination;
+    if (!pagination || page >= pagination.total_pages) return;
+  }
+}
+
+// Collects a paginated v3 collection into an array
+async function listFromBigCommerce(store, endpoint) {
+  const items = [];
+  for await (const item of paginateBigCommerce(store, endpoint)) {
+    items.push(item);
+  }
+  return items;
 }
 
-async function getCartDetails(cartId) {
+// ===================
+// BIGCOMMERCE API HELPERS
+// ===================
+
+async function getCartDetails(store, cartId) {
   try {
-    const data = await fetchFromBigCommerce(`/v3/carts/${cartId}?include=line_items.physical_items.options`);
+    const data = await fetchFromBigCommerce(store, `/v3/carts/${cartId}?include=line_items.physical_items.options`);
     return data.data;
   } catch (error) {
     console.error('Error fetching cart:', error);
@@ -114,9 +783,9 @@ async function getCartDetails(cartId) {
   }
 }
 
-async function getCustomerEmail(customerId) {
+async function getCustomerEmail(store, customerId) {
   try {
-    const data = await fetchFromBigCommerce(`/v3/customers?id:in=${customerId}`);
+    const data = await fetchFromBigCommerce(store, `/v3/customers?id:in=${customerId}`);
     if (data.data && data.data.length > 0) {
       return data.data[0].email;
     }
@@ -126,152 +795,517 @@ async function getCustomerEmail(customerId) {
   return null;
 }
 
+// Flatten physical, digital and custom line items from stored cart data
+function getCartLineItems(cartData) {
+  const lineItems = cartData?.line_items || {};
+  return [
+    ...(lineItems.physical_items || []),
+    ...(lineItems.digital_items || []),
+    ...(lineItems.custom_items || [])
+  ];
+}
+
 // Update BigCommerce cart with customer email
-async function updateCartEmail(cartId, email) {
+async function updateCartEmail(store, cartId, email) {
   try {
-    const response = await fetch(`https://api.bigcommerce.com/stores/${BC_STORE_HASH}/v3/carts/${cartId}`, {
+    await fetchFromBigCommerce(store, `/v3/carts/${cartId}`, {
       method: 'PUT',
-      headers: {
-        'X-Auth-Token': BC_ACCESS_TOKEN,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      },
-      body: JSON.stringify({
+      body: {
         customer_id: 0,
         email: email
-      })
+      }
     });
-    
-    if (response.ok) {
-      console.log(`Updated BigCommerce cart ${cartId} with email: ${email}`);
-      return true;
-    } else {
-      const errorText = await response.text();
-      console.error(`Failed to update cart ${cartId}:`, errorText);
-      return false;
-    }
+    console.log(`Updated BigCommerce cart ${cartId} with email: ${email}`);
+    return true;
   } catch (error) {
-    console.error('Error updating cart email:', error);
+    console.error(`Failed to update cart ${cartId}:`, error.body || error.message);
     return false;
   }
 }
 
-// Get most recent cart ID from our database (created in last 30 minutes without email)
-async function getRecentCartWithoutEmail() {
+// ===================
+// PRODUCT CATALOG
+// ===================
+// Product details come from the BigCommerce catalog, not the storefront DOM, and are cached in
+// the products table. Tracking accepts a day-old copy; emails re-check stock if older than an hour.
+const PRODUCT_CACHE_MS = 24 * 3600 * 1000;
+const PRODUCT_SEND_MAX_AGE_MS = 3600 * 1000;
+
+// Returns the cached or freshly fetched product, or null if it's not in the catalog
+async function getProduct(store, productId, maxAgeMs = PRODUCT_CACHE_MS) {
+  const cached = await pool.query(`
+    SELECT *, fetched_at > NOW() - $3 * INTERVAL '1 millisecond' as fresh 
+    FROM products 
+    WHERE store_hash = $1 AND product_id = $2
+  `, [store.storeHash, productId, maxAgeMs]);
+
+  if (cached.rows[0]?.fresh) {
+    return cached.rows[0].deleted ? null : cached.rows[0];
+  }
+
+  let product = null;
   try {
-    const result = await pool.query(`
-      SELECT cart_id FROM abandoned_carts 
-      WHERE (customer_email IS NULL OR customer_email = '')
-        AND converted = FALSE
-        AND updated_at > NOW() - INTERVAL '30 minutes'
-      ORDER BY updated_at DESC 
-      LIMIT 1
-    `);
-    
-    if (result.rows.length > 0) {
-      return result.rows[0].cart_id;
-    }
-    return null;
+    const data = await fetchFromBigCommerce(store, `/v3/catalog/products/${productId}?include=primary_image`);
+    product = data.data;
   } catch (error) {
-    console.error('Error getting recent cart:', error);
-    return null;
+    if (error.status !== 404) throw error;
   }
+
+  const result = await pool.query(`
+    INSERT INTO products (store_hash, product_id, name, url, image_url, price, sale_price, 
+                          inventory_level, inventory_tracking, is_visible, availability, deleted, fetched_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, CURRENT_TIMESTAMP)
+    ON CONFLICT (store_hash, product_id) 
+    DO UPDATE SET 
+      name = EXCLUDED.name,
+      url = EXCLUDED.url,
+      image_url = EXCLUDED.image_url,
+      price = EXCLUDED.price,
+      sale_price = EXCLUDED.sale_price,
+      inventory_level = EXCLUDED.inventory_level,
+      inventory_tracking = EXCLUDED.inventory_tracking,
+      is_visible = EXCLUDED.is_visible,
+      availability = EXCLUDED.availability,
+      deleted = EXCLUDED.deleted,
+      fetched_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [
+    store.storeHash,
+    productId,
+    product?.name || null,
+    product?.custom_url?.url && store.storeUrl ? `${store.storeUrl}${product.custom_url.url}` : null,
+    product?.primary_image?.url_standard || null,
+    product ? product.price : null,
+    product?.sale_price > 0 ? product.sale_price : null,
+    product ? product.inventory_level : null,
+    product?.inventory_tracking || null,
+    product ? product.is_visible : null,
+    product?.availability || null,
+    !product
+  ]);
+
+  return product ? result.rows[0] : null;
+}
+
+// Visible, purchasable and (when inventory is tracked) in stock
+function isProductAvailable(product) {
+  return product.is_visible &&
+    product.availability !== 'disabled' &&
+    (product.inventory_tracking === 'none' || product.inventory_level > 0);
+}
+
+function catalogPrice(product) {
+  return parseFloat(product.sale_price || product.price) || 0;
 }
 
 // ===================
 // IMAGE REDIRECT ENDPOINTS (for MailerLite)
 // ===================
+// Emails show product images through /cart-image?t= and /browse-image?t=, so the picture is current
+// when the email is opened. The token is "keyId.payload.signature": base64url JSON
+// { k: 'cart' | 'browse', s: storeHash, c: cartId | p: productId, x: expiry (epoch s) } signed with
+// one of IMAGE_TOKEN_KEYS. Anything that doesn't verify gets the placeholder image. Resolved images
+// are cached in memory and the redirects are cacheable, so image proxies rarely reach Postgres.
+const IMAGE_CACHE_MS = 10 * 60 * 1000;
+const IMAGE_CACHE_MAX_ENTRIES = 10000;
+const imageCache = new Map();
 
-// Cart product image redirect
-app.get('/cart-image', async (req, res) => {
-  try {
-    const email = req.query.email;
-    
-    if (!email) {
-      return res.redirect(PLACEHOLDER_IMAGE);
+function parseImageTokenKeys(value) {
+  return String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const secret = entry.slice(separator + 1);
+    if (separator < 1 || !/^[A-Za-z0-9_-]+$/.test(id) || !secret) {
+      throw new Error('IMAGE_TOKEN_KEYS must be comma-separated "keyId:secret" pairs (key IDs: letters, digits, - and _)');
     }
+    return { id, secret };
+  });
+}
 
-    const result = await pool.query(`
-      SELECT cart_data FROM abandoned_carts 
-      WHERE customer_email = $1 
-        AND converted = FALSE
-      ORDER BY updated_at DESC 
-      LIMIT 1
-    `, [email]);
+// The first key signs, all of them verify
+const imageTokenKeys = parseImageTokenKeys(IMAGE_TOKEN_KEYS);
 
-    if (result.rows.length === 0) {
-      return res.redirect(PLACEHOLDER_IMAGE);
+function signImagePayload(key, payload) {
+  return crypto.createHmac('sha256', key.secret).update(`${key.id}.${payload}`).digest('base64url');
+}
+
+// Empty when IMAGE_TOKEN_KEYS isn't set - emails then show the placeholder image
+function imageUrl(route, data, settings) {
+  if (imageTokenKeys.length === 0) return '';
+
+  const key = imageTokenKeys[0];
+  const payload = Buffer.from(JSON.stringify({
+    ...data,
+    x: Math.floor(Date.now() / 1000) + settings.image_link_days * 24 * 3600
+  })).toString('base64url');
+  return `${APP_URL}/${route}?t=${key.id}.${payload}.${signImagePayload(key, payload)}`;
+}
+
+function cartImageUrl(cart, settings) {
+  return imageUrl('cart-image', { k: 'cart', s: cart.store_hash, c: cart.cart_id }, settings);
+}
+
+function browseImageUrl(storeHash, productId, settings) {
+  return imageUrl('browse-image', { k: 'browse', s: storeHash, p: productId }, settings);
+}
+
+// Returns the payload of a genuine, unexpired token of this kind, otherwise null
+function verifyImageToken(token, kind) {
+  const [keyId, payload, signature] = String(token || '').split('.');
+  const key = imageTokenKeys.find(candidate => candidate.id === keyId);
+  if (!key || !payload || !signature || !safeEqual(signature, signImagePayload(key, payload))) return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (data.k !== kind || !data.s || !(data.x > Date.now() / 1000)) return null;
+    return data;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Image URL (or null) from the cache, resolving and caching it on a miss
+async function cachedImage(cacheKey, resolve) {
+  const cached = imageCache.get(cacheKey);
+  if (cached && Date.now() - cached.cachedAt < IMAGE_CACHE_MS) {
+    return cached.url;
+  }
+
+  const url = await resolve();
+  imageCache.delete(cacheKey);
+  if (imageCache.size >= IMAGE_CACHE_MAX_ENTRIES) {
+    imageCache.delete(imageCache.keys().next().value);
+  }
+  imageCache.set(cacheKey, { url: url, cachedAt: Date.now() });
+  return url;
+}
+
+// First line item's image
+async function resolveCartImage(storeHash, cartId) {
+  const result = await pool.query('SELECT cart_data FROM abandoned_carts WHERE cart_id = $1 AND store_hash = $2', [cartId, storeHash]);
+  if (result.rows.length === 0) return null;
+  return getCartLineItems(result.rows[0].cart_data)[0]?.image_url || null;
+}
+
+// The catalog's image only, never one the tracker posted: from the products cache, or looked up
+// in BigCommerce (which caches it). Null if the catalog has none.
+async function resolveBrowseImage(storeHash, productId) {
+  const cached = await pool.query(`
+    SELECT image_url FROM products
+    WHERE store_hash = $1 AND product_id = $2 AND deleted = FALSE AND image_url IS NOT NULL AND image_url != ''
+  `, [storeHash, productId]);
+  if (cached.rows.length > 0) return httpUrl(cached.rows[0].image_url);
+
+  const store = await getActiveStore(storeHash);
+  if (!store) return null;
+  const product = await getProduct(store, productId);
+  return httpUrl(product?.image_url);
+}
+
+function sendImageRedirect(res, url) {
+  res.set('Cache-Control', `public, max-age=${IMAGE_CACHE_MS / 1000}`);
+  res.redirect(url || cachedSetting('placeholder_image'));
+}
+
+// Cart product image redirect (?t= from the cart_image_url field, &send= to count an open)
+app.get('/cart-image', async (req, res) => {
+  try {
+    // Opening the email loads its images, so they double as an open signal (&send=)
+    if (req.query.send) {
+      await recordEmailEvent(req, req.query.send, 'open', 'image');
     }
 
-    const cartData = result.rows[0].cart_data;
-    const lineItems = cartData.line_items || {};
-    const allItems = [
-      ...(lineItems.physical_items || []),
-      ...(lineItems.digital_items || []),
-      ...(lineItems.custom_items || [])
-    ];
-    
-    const firstItem = allItems[0];
-    
-    if (firstItem && firstItem.image_url) {
-      return res.redirect(firstItem.image_url);
+    const token = verifyImageToken(req.query.t, 'cart');
+    if (!token) {
+      return sendImageRedirect(res, null);
     }
-    
-    res.redirect(PLACEHOLDER_IMAGE);
+
+    sendImageRedirect(res, await cachedImage(`cart:${token.s}:${token.c}`, () => resolveCartImage(token.s, token.c)));
   } catch (error) {
     console.error('Error in cart-image redirect:', error);
-    res.redirect(PLACEHOLDER_IMAGE);
+    res.redirect(cachedSetting('placeholder_image'));
   }
 });
 
-// Browse product image redirect (supports product 1, 2, or 3)
+// Browse product image redirect (?t= from the browse_product_N_image_url fields, &send= to count an open)
 app.get('/browse-image', async (req, res) => {
   try {
-    const email = req.query.email;
-    const productNum = parseInt(req.query.product) || 1; // 1, 2, or 3
-    
-    if (!email) {
-      return res.redirect(PLACEHOLDER_IMAGE);
+    // Counts as an open, like /cart-image
+    if (req.query.send) {
+      await recordEmailEvent(req, req.query.send, 'open', 'image');
     }
 
-    const result = await pool.query(`
-      SELECT DISTINCT ON (product_id) 
-        product_id, product_name, product_url, product_image, viewed_at
-      FROM browse_events
-      WHERE customer_email = $1
-        AND product_image IS NOT NULL
-        AND product_image != ''
-      ORDER BY product_id, viewed_at DESC
-    `, [email]);
-
-    // Sort by most recent and get the requested product
-    const products = result.rows
-      .sort((a, b) => new Date(b.viewed_at) - new Date(a.viewed_at))
-      .slice(0, 3);
-
-    const product = products[productNum - 1];
-    
-    if (product && product.product_image) {
-      return res.redirect(product.product_image);
+    const token = verifyImageToken(req.query.t, 'browse');
+    if (!token) {
+      return sendImageRedirect(res, null);
     }
-    
-    res.redirect(PLACEHOLDER_IMAGE);
+
+    const url = await cachedImage(`browse:${token.s}:${token.p}`, () => resolveBrowseImage(token.s, token.p));
+    if (!url) {
+      return res.status(404).end();
+    }
+    sendImageRedirect(res, url);
   } catch (error) {
     console.error('Error in browse-image redirect:', error);
-    res.redirect(PLACEHOLDER_IMAGE);
+    res.redirect(cachedSetting('placeholder_image'));
   }
 });
 
 // ===================
-// MAILERLITE HELPERS
+// CART SUMMARY IMAGE
 // ===================
+// /cart-summary-image?t= (the cart_summary_image_url field) renders the whole cart as one PNG: a grid
+// of up to cart_summary_max_items thumbnails with name, quantity and price, and the cart total.
+// Takes the same tokens as /cart-image. Renders are stored in cart_summary_images and only redone
+// when the cart's version (a hash of everything drawn) changes.
+const CART_SUMMARY_LAYOUT = 1;              // Bump when the drawing changes to re-render every cart
+const CART_SUMMARY_COLUMNS = 3;
+const CART_SUMMARY_CELL_WIDTH = 200;
+const CART_SUMMARY_CELL_HEIGHT = 230;
+const CART_SUMMARY_THUMB_SIZE = 160;
+const CART_SUMMARY_FOOTER_HEIGHT = 60;
+const CART_SUMMARY_FETCH_TIMEOUT_MS = 5000;
+const CART_SUMMARY_MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const CART_SUMMARY_MAX_INPUT_PIXELS = 4000 * 4000;   // A small file can still decode to a huge bitmap
+const CART_SUMMARY_MAX_REDIRECTS = 3;
 
-// Update subscriber fields in MailerLite (for win-back email automation)
-async function updateMailerLiteSubscriber(email, fields = {}) {
-  try {
-    const response = await fetch('https://connect.mailerlite.com/api/subscribers', {
-      method: 'POST',
-      headers: {
+// Image hosts must be public: loopback, private, link-local and other internal ranges are refused,
+// checked on the address the connection actually uses (see publicLookup)
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+// Renders in progress, so simultaneous requests for one cart share a render
+const cartSummaryRenders = new Map();
+
+function cartSummaryUrl(cart, settings) {
+  return imageUrl('cart-summary-image', { k: 'cart', s: cart.store_hash, c: cart.cart_id }, settings);
+}
+
+function cartSummaryVersion(cart, maxItems) {
+  const items = getCartLineItems(cart.cart_data)
+    .map(item => [item.id, item.name, item.quantity, item.sale_price ?? item.list_price, item.image_url]);
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([CART_SUMMARY_LAYOUT, maxItems, cart.cart_total, items]))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+function truncateText(value, length) {
+  const text = String(value || '');
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function isPrivateAddress(address, family) {
+  return PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup for image fetches that fails when any address is private. The socket connects to
+// the address checked here, so a host can't pass the check and then resolve somewhere else.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address, family }) => isPrivateAddress(address, family))) {
+      return callback(Object.assign(new Error(`Refusing to fetch from private host ${hostname}`), { code: 'EPRIVATEHOST' }));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const imageFetchAgent = new Agent({ connect: { lookup: publicLookup } });
+
+// http(s), and not a literal private IP (IP hosts never reach publicLookup)
+function isFetchableImageUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  return !net.isIP(hostname) || !isPrivateAddress(hostname, net.isIP(hostname));
+}
+
+// Square thumbnail on white, or null if the image can't be loaded. Redirects are followed by
+// hand so every hop is checked again.
+async function fetchThumbnail(url) {
+  try {
+    let response = null;
+    let location = url;
+    for (let hops = 0; hops <= CART_SUMMARY_MAX_REDIRECTS; hops++) {
+      if (!isFetchableImageUrl(location)) return null;
+      response = await undiciFetch(location, {
+        dispatcher: imageFetchAgent,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(CART_SUMMARY_FETCH_TIMEOUT_MS)
+      });
+      if (response.status < 300 || response.status >= 400) break;
+      location = response.headers.get('location') ? new URL(response.headers.get('location'), location).href : null;
+      response = null;
+    }
+
+    if (!response?.ok || parseInt(response.headers.get('content-length')) > CART_SUMMARY_MAX_IMAGE_BYTES) {
+      return null;
+    }
+
+    const image = Buffer.from(await response.arrayBuffer());
+    if (image.length > CART_SUMMARY_MAX_IMAGE_BYTES) return null;
+
+    return await sharp(image, { limitInputPixels: CART_SUMMARY_MAX_INPUT_PIXELS })
+      .resize(CART_SUMMARY_THUMB_SIZE, CART_SUMMARY_THUMB_SIZE, { fit: 'contain', background: '#ffffff' })
+      .flatten({ background: '#ffffff' })
+      .png()
+      .toBuffer();
+  } catch (error) {
+    console.error(`Cart summary: could not load image ${url}:`, error.message);
+    return null;
+  }
+}
+
+async function renderCartSummary(cart, maxItems) {
+  const items = getCartLineItems(cart.cart_data);
+  const shown = items.slice(0, maxItems);
+  const hidden = items.length - shown.length;
+  const width = CART_SUMMARY_COLUMNS * CART_SUMMARY_CELL_WIDTH;
+  const gridHeight = Math.ceil(shown.length / CART_SUMMARY_COLUMNS) * CART_SUMMARY_CELL_HEIGHT;
+  const height = gridHeight + CART_SUMMARY_FOOTER_HEIGHT;
+
+  // One at a time - this box has one core and the images are small
+  const thumbnails = [];
+  for (const item of shown) {
+    thumbnails.push(await fetchThumbnail(item.image_url));
+  }
+
+  const layers = [];
+  const text = [];
+  shown.forEach((item, index) => {
+    const x = (index % CART_SUMMARY_COLUMNS) * CART_SUMMARY_CELL_WIDTH;
+    const y = Math.floor(index / CART_SUMMARY_COLUMNS) * CART_SUMMARY_CELL_HEIGHT;
+    const thumbX = x + (CART_SUMMARY_CELL_WIDTH - CART_SUMMARY_THUMB_SIZE) / 2;
+    const thumbY = y + 10;
+    const textY = thumbY + CART_SUMMARY_THUMB_SIZE;
+
+    if (thumbnails[index]) {
+      layers.push({ input: thumbnails[index], left: thumbX, top: thumbY });
+    } else {
+      text.push(`<rect x="${thumbX}" y="${thumbY}" width="${CART_SUMMARY_THUMB_SIZE}" height="${CART_SUMMARY_THUMB_SIZE}" fill="#f0f0f0"/>`);
+    }
+    text.push(`<text x="${x + CART_SUMMARY_CELL_WIDTH / 2}" y="${textY + 24}" text-anchor="middle" font-size="13" fill="#222">${escapeHtml(truncateText(item.name, 22))}</text>`);
+    text.push(`<text x="${x + CART_SUMMARY_CELL_WIDTH / 2}" y="${textY + 44}" text-anchor="middle" font-size="13" fill="#666">Qty ${escapeHtml(item.quantity || 1)} · ${formatPrice(item.sale_price ?? item.list_price)}</text>`);
+  });
+
+  text.push(`<line x1="20" y1="${gridHeight + 10}" x2="${width - 20}" y2="${gridHeight + 10}" stroke="#e0e0e0"/>`);
+  if (hidden > 0) {
+    text.push(`<text x="20" y="${gridHeight + 42}" font-size="14" fill="#666">+ ${hidden} more item${hidden === 1 ? '' : 's'}</text>`);
+  }
+  text.push(`<text x="${width - 20}" y="${gridHeight + 42}" text-anchor="end" font-size="18" font-weight="bold" fill="#222">Total ${formatPrice(cart.cart_total)}</text>`);
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="Helvetica, Arial, sans-serif">${text.join('')}</svg>`;
+  layers.push({ input: Buffer.from(svg), left: 0, top: 0 });
+
+  return sharp({ create: { width: width, height: height, channels: 3, background: '#ffffff' } })
+    .composite(layers)
+    .png()
+    .toBuffer();
+}
+
+// Returns { version, png } for the cart, rendering it if the stored one is stale, or null if the
+// cart is unknown or empty
+async function getCartSummary(storeHash, cartId) {
+  const settings = await getSettings();
+  const result = await pool.query(`
+    SELECT ac.cart_id, ac.cart_data, ac.cart_total, csi.version, csi.png
+    FROM abandoned_carts ac
+    LEFT JOIN cart_summary_images csi ON csi.store_hash = ac.store_hash AND csi.cart_id = ac.cart_id
+    WHERE ac.cart_id = $1 AND ac.store_hash = $2
+  `, [cartId, storeHash]);
+
+  const cart = result.rows[0];
+  if (!cart || getCartLineItems(cart.cart_data).length === 0) return null;
+
+  const version = cartSummaryVersion(cart, settings.cart_summary_max_items);
+  if (cart.version === version) {
+    return { version: version, png: cart.png };
+  }
+
+  const renderKey = `${storeHash}:${cartId}:${version}`;
+  if (!cartSummaryRenders.has(renderKey)) {
+    const render = (async () => {
+      const png = await renderCartSummary(cart, settings.cart_summary_max_items);
+      await pool.query(`
+        INSERT INTO cart_summary_images (store_hash, cart_id, version, png)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (store_hash, cart_id) DO UPDATE SET
+          version = EXCLUDED.version,
+          png = EXCLUDED.png,
+          created_at = CURRENT_TIMESTAMP
+      `, [storeHash, cartId, version, png]);
+      return { version: version, png: png };
+    })();
+    cartSummaryRenders.set(renderKey, render);
+    render.catch(() => {}).finally(() => cartSummaryRenders.delete(renderKey));
+  }
+  return cartSummaryRenders.get(renderKey);
+}
+
+app.get('/cart-summary-image', async (req, res) => {
+  try {
+    // Counts as an open, like /cart-image
+    if (req.query.send) {
+      await recordEmailEvent(req, req.query.send, 'open', 'image');
+    }
+
+    const token = verifyImageToken(req.query.t, 'cart');
+    const summary = token ? await getCartSummary(token.s, token.c) : null;
+    if (!summary) {
+      return sendImageRedirect(res, null);
+    }
+
+    // res.send answers If-None-Match with a 304
+    res.set('Cache-Control', `public, max-age=${IMAGE_CACHE_MS / 1000}`);
+    res.set('ETag', `"${summary.version}"`);
+    res.type('png').send(summary.png);
+  } catch (error) {
+    console.error('Error rendering cart summary image:', error);
+    res.redirect(cachedSetting('placeholder_image'));
+  }
+});
+
+// Stored renders outlive every token that can load them after image_link_days
+async function pruneCartSummaryImages() {
+  try {
+    const settings = await getSettings();
+    const result = await pool.query(`
+      DELETE FROM cart_summary_images
+      WHERE created_at < NOW() - $1 * INTERVAL '1 day'
+    `, [settings.image_link_days]);
+    if (result.rowCount > 0) {
+      console.log(`Pruned ${result.rowCount} cart summary images`);
+    }
+  } catch (error) {
+    console.error('Error pruning cart summary images:', error);
+  }
+}
+
+schedule('40 3 * * *', pruneCartSummaryImages);
+
+// ===================
+// MAILERLITE HELPERS
+// ===================
+
+// Update subscriber fields in MailerLite (for win-back email automation)
+async function updateMailerLiteSubscriber(email, fields = {}) {
+  try {
+    const response = await fetch('https://connect.mailerlite.com/api/subscribers', {
+      method: 'POST',
+      headers: {
         'Authorization': `Bearer ${MAILERLITE_API_KEY}`,
         'Content-Type': 'application/json',
         'Accept': 'application/json'
@@ -297,6 +1331,34 @@ async function updateMailerLiteSubscriber(email, fields = {}) {
   }
 }
 
+async function unsubscribeMailerLiteSubscriber(email) {
+  try {
+    const response = await fetch('https://connect.mailerlite.com/api/subscribers', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${MAILERLITE_API_KEY}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify({
+        email: email,
+        status: 'unsubscribed'
+      })
+    });
+
+    if (response.ok) {
+      console.log(`Unsubscribed ${email} in MailerLite`);
+      return true;
+    } else {
+      console.error('MailerLite unsubscribe error:', await response.json());
+      return false;
+    }
+  } catch (error) {
+    console.error('Error unsubscribing MailerLite subscriber:', error);
+    return false;
+  }
+}
+
 async function getMailerLiteGroupId(groupName) {
   try {
     const response = await fetch('https://connect.mailerlite.com/api/groups?filter[name]=' + encodeURIComponent(groupName), {
@@ -358,441 +1420,4632 @@ async function addSubscriberToMailerLite(email, groupName, fields = {}) {
   }
 }
 
-// ===================
-// BROWSE ABANDONMENT PROCESSOR
-// ===================
-async function processBrowseAbandonment() {
-  console.log('Checking for browse abandonment...');
-  
-  try {
-    // Find emails with browse events that:
-    // - Have an email
-    // - Were viewed more than 2 hours ago
-    // - Haven't been sent a browse email yet
-    // - Do NOT have an active abandoned cart (so BigCommerce handles those)
-    const result = await pool.query(`
-      SELECT DISTINCT be.customer_email
-      FROM browse_events be
-      WHERE be.customer_email IS NOT NULL 
-        AND be.customer_email != ''
-        AND be.email_sent = FALSE
-        AND be.viewed_at < NOW() - INTERVAL '2 hours'
-        AND be.product_image IS NOT NULL
-        AND be.product_image != ''
-        AND NOT EXISTS (
-          SELECT 1 FROM abandoned_carts ac 
-          WHERE ac.customer_email = be.customer_email 
-            AND ac.converted = FALSE
-            AND ac.updated_at > NOW() - INTERVAL '24 hours'
-        )
-      LIMIT 10
-    `);
-
-    console.log(`Found ${result.rows.length} browse abandonment emails to process`);
-
-    for (const row of result.rows) {
-      const email = row.customer_email;
-      
-      // Test mode check
-      if (TEST_MODE && email.toLowerCase() !== TEST_EMAIL.toLowerCase()) {
-        console.log(`TEST MODE: Skipping browse abandonment for ${email}`);
-        continue;
-      }
+// Subscriber record (fields, groups, dates), or null if MailerLite doesn't know the address
+async function getMailerLiteSubscriber(email) {
+  const response = await fetch(`https://connect.mailerlite.com/api/subscribers/${encodeURIComponent(email)}`, {
+    headers: {
+      'Authorization': `Bearer ${MAILERLITE_API_KEY}`,
+      'Accept': 'application/json'
+    }
+  });
 
-      // Get products with images only
-      const productsResult = await pool.query(`
-        SELECT DISTINCT ON (product_id) 
-          product_id, product_name, product_url, product_image, product_price, viewed_at
-        FROM browse_events
-        WHERE customer_email = $1 
-          AND email_sent = FALSE
-          AND viewed_at < NOW() - INTERVAL '2 hours'
-          AND product_image IS NOT NULL
-          AND product_image != ''
-        ORDER BY product_id, viewed_at DESC
-      `, [email]);
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`MailerLite subscriber lookup failed: ${response.status} ${await response.text()}`);
+  }
+  return (await response.json()).data;
+}
 
-      const products = productsResult.rows
-        .sort((a, b) => new Date(b.viewed_at) - new Date(a.viewed_at))
-        .slice(0, 2); // Get top 2 most recent products
+// GDPR "forget": MailerLite removes the subscriber and their data for good
+async function forgetMailerLiteSubscriber(email) {
+  try {
+    const subscriber = await getMailerLiteSubscriber(email);
+    if (!subscriber) return true;
 
-      if (products.length === 0) {
-        console.log(`No products with images for ${email}, skipping`);
-        continue;
+    const response = await fetch(`https://connect.mailerlite.com/api/subscribers/${subscriber.id}/forget`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${MAILERLITE_API_KEY}`,
+        'Accept': 'application/json'
       }
+    });
 
-      console.log(`Processing browse abandonment for ${email} with ${products.length} products`);
-      
-      // Build fields for MailerLite
-      const fields = {
-        browse_product_count: products.length,
-        browse_product_1_name: products[0]?.product_name || '',
-        browse_product_1_url: products[0]?.product_url || '',
-        browse_product_1_price: products[0]?.product_price || 0,
-        browse_product_2_name: products[1]?.product_name || '',
-        browse_product_2_url: products[1]?.product_url || '',
-        browse_product_2_price: products[1]?.product_price || 0
-      };
-      
-      const success = await addSubscriberToMailerLite(email, 'Peekaboo Browse Abandonment', fields);
-      
-      if (success) {
-        await pool.query(`
-          UPDATE browse_events 
-          SET email_sent = TRUE 
-          WHERE customer_email = $1 AND email_sent = FALSE
-        `, [email]);
-        
-        await pool.query(`
-          INSERT INTO email_log (email_type, recipient_email, product_id)
-          VALUES ('browse_abandonment', $1, $2)
-        `, [email, products[0].product_id]);
-        
-        console.log(`Successfully processed browse abandonment for ${email}`);
-      }
+    if (response.ok) {
+      console.log(`Asked MailerLite to forget ${email}`);
+      return true;
     }
+    console.error('MailerLite forget error:', await response.text());
+    return false;
   } catch (error) {
-    console.error('Error processing browse abandonment:', error);
+    console.error('Error forgetting MailerLite subscriber:', error);
+    return false;
   }
 }
 
-// Run browse abandonment check every 10 minutes
-cron.schedule('*/10 * * * *', () => {
-  processBrowseAbandonment();
-});
-
 // ===================
-// WEBHOOK ENDPOINTS
+// EMAIL PROVIDERS
 // ===================
+// Every provider implements the same interface:
+//   addToList(email, listName, fields)  - add/update a subscriber in a list (ESP group)
+//   updateFields(email, fields)         - update subscriber fields
+//   unsubscribe(email)                  - stop all ESP sends to a suppressed address
+//   sendTransactional(message)          - send one email: { to, subject, html, text, headers }
+//   forgetSubscriber(email)             - erase everything the provider holds for the address
+//   getSubscriber(email)                - what the provider holds for the address (or null), for exports
+// All but getSubscriber resolve to true/false. Providers with `automations: true` send the abandonment
+// emails themselves when a subscriber joins a list (MailerLite automations); for the rest the
+// app renders the email and sends it with sendTransactional.
 
-// Health check
-app.get('/', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    message: 'Peek-a-Boo Tracking App',
-    testMode: TEST_MODE,
-    testEmail: TEST_MODE ? TEST_EMAIL : 'N/A',
-    features: [
-      'Browse abandonment emails via MailerLite',
-      'Cart tracking for BigCommerce abandoned cart emails',
-      'Popup email capture syncs to BigCommerce carts'
-    ]
-  });
-});
-
-// BigCommerce webhook: Cart Created
-app.post('/webhooks/cart-created', async (req, res) => {
-  console.log('Cart created webhook received');
-  
-  try {
-    const cartId = req.body.data?.id || req.body.data?.cartId;
-    if (!cartId) {
-      return res.status(200).json({ received: true, note: 'No cart ID' });
+function createMailerLiteProvider() {
+  return {
+    name: 'mailerlite',
+    automations: true,
+    addToList: addSubscriberToMailerLite,
+    updateFields: updateMailerLiteSubscriber,
+    unsubscribe: unsubscribeMailerLiteSubscriber,
+    getSubscriber: getMailerLiteSubscriber,
+    forgetSubscriber: forgetMailerLiteSubscriber,
+    async sendTransactional(message) {
+      console.error(`MailerLite has no transactional API - not sending "${message.subject}" to ${message.to}`);
+      return false;
     }
+  };
+}
 
-    const cart = await getCartDetails(cartId);
-    if (!cart) {
-      return res.status(200).json({ received: true, note: 'Could not fetch cart' });
-    }
+// Transactional-only providers have no subscriber lists; list and field updates are no-ops
+const noListSupport = {
+  async addToList(email, listName) {
+    console.log(`${ESP_PROVIDER}: no lists, skipping add of ${email} to "${listName}"`);
+    return true;
+  },
+  async updateFields(email) {
+    console.log(`${ESP_PROVIDER}: no subscriber fields, skipping update for ${email}`);
+    return true;
+  },
+  async unsubscribe() {
+    // Nothing stored at the provider - the suppression list covers it
+    return true;
+  },
+  async getSubscriber() {
+    return null;
+  },
+  async forgetSubscriber() {
+    // No subscriber records; sent-message logs expire under the provider's own retention
+    return true;
+  }
+};
 
-    let customerEmail = cart.email;
-    if (!customerEmail && cart.customer_id) {
-      customerEmail = await getCustomerEmail(cart.customer_id);
-    }
+function createPostmarkProvider() {
+  return {
+    name: 'postmark',
+    automations: false,
+    ...noListSupport,
+    async sendTransactional(message) {
+      try {
+        const response = await fetch('https://api.postmarkapp.com/email', {
+          method: 'POST',
+          headers: {
+            'X-Postmark-Server-Token': process.env.POSTMARK_SERVER_TOKEN,
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+          },
+          body: JSON.stringify({
+            From: EMAIL_FROM,
+            To: message.to,
+            Subject: message.subject,
+            HtmlBody: message.html,
+            TextBody: message.text,
+            MessageStream: process.env.POSTMARK_MESSAGE_STREAM || 'outbound',
+            Headers: Object.entries(message.headers || {}).map(([Name, Value]) => ({ Name, Value }))
+          })
+        });
 
-    const cartTotal = cart.cart_amount || 0;
+        if (response.ok) {
+          console.log(`Postmark sent "${message.subject}" to ${message.to}`);
+          return true;
+        }
+        console.error('Postmark error:', await response.text());
+        return false;
+      } catch (error) {
+        console.error('Error sending via Postmark:', error);
+        return false;
+      }
+    }
+  };
+}
 
-    await pool.query(`
-      INSERT INTO abandoned_carts (cart_id, customer_email, customer_id, cart_data, cart_total, updated_at)
-      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
-      ON CONFLICT (cart_id) 
-      DO UPDATE SET 
-        customer_email = COALESCE(EXCLUDED.customer_email, abandoned_carts.customer_email),
-        customer_id = COALESCE(EXCLUDED.customer_id, abandoned_carts.customer_id),
-        cart_data = EXCLUDED.cart_data,
-        cart_total = EXCLUDED.cart_total,
-        updated_at = CURRENT_TIMESTAMP
-    `, [cartId, customerEmail, cart.customer_id, JSON.stringify(cart), cartTotal]);
+function createSendGridProvider() {
+  // SendGrid wants { email, name } rather than "Name <email>"
+  const match = (EMAIL_FROM || '').match(/^\s*(.*?)\s*<(.+)>\s*$/);
+  const from = match ? { email: match[2], name: match[1] || undefined } : { email: EMAIL_FROM };
 
-    console.log(`Cart ${cartId} tracked. Email: ${customerEmail || 'unknown'}`);
-    res.status(200).json({ received: true });
-  } catch (error) {
-    console.error('Error processing cart webhook:', error);
-    res.status(200).json({ received: true, error: error.message });
-  }
-});
+  return {
+    name: 'sendgrid',
+    automations: false,
+    ...noListSupport,
+    async sendTransactional(message) {
+      try {
+        const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${process.env.SENDGRID_API_KEY}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            personalizations: [{ to: [{ email: message.to }] }],
+            from: from,
+            subject: message.subject,
+            content: [
+              { type: 'text/plain', value: message.text },
+              { type: 'text/html', value: message.html }
+            ],
+            headers: message.headers
+          })
+        });
 
-// BigCommerce webhook: Cart Updated
-app.post('/webhooks/cart-updated', async (req, res) => {
-  console.log('Cart updated webhook received');
-  
-  try {
-    const cartId = req.body.data?.id || req.body.data?.cartId;
-    if (!cartId) {
-      return res.status(200).json({ received: true, note: 'No cart ID' });
+        if (response.ok) {
+          console.log(`SendGrid sent "${message.subject}" to ${message.to}`);
+          return true;
+        }
+        console.error('SendGrid error:', await response.text());
+        return false;
+      } catch (error) {
+        console.error('Error sending via SendGrid:', error);
+        return false;
+      }
     }
+  };
+}
 
-    const cart = await getCartDetails(cartId);
-    if (!cart) {
-      return res.status(200).json({ received: true, note: 'Could not fetch cart' });
-    }
+function createSmtpProvider() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
 
-    let customerEmail = cart.email;
-    if (!customerEmail && cart.customer_id) {
-      customerEmail = await getCustomerEmail(cart.customer_id);
+  return {
+    name: 'smtp',
+    automations: false,
+    ...noListSupport,
+    async sendTransactional(message) {
+      try {
+        await transporter.sendMail({
+          from: EMAIL_FROM,
+          to: message.to,
+          subject: message.subject,
+          html: message.html,
+          text: message.text,
+          headers: message.headers
+        });
+        console.log(`SMTP sent "${message.subject}" to ${message.to}`);
+        return true;
+      } catch (error) {
+        console.error('Error sending via SMTP:', error);
+        return false;
+      }
     }
+  };
+}
 
-    const cartTotal = cart.cart_amount || 0;
+// Local development: logs everything and writes sent emails to EMAIL_OUTBOX_DIR (if set)
+function createConsoleProvider() {
+  const outboxDir = process.env.EMAIL_OUTBOX_DIR;
 
-    await pool.query(`
-      INSERT INTO abandoned_carts (cart_id, customer_email, customer_id, cart_data, cart_total, updated_at)
-      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
-      ON CONFLICT (cart_id) 
-      DO UPDATE SET 
-        customer_email = COALESCE(EXCLUDED.customer_email, abandoned_carts.customer_email),
-        customer_id = COALESCE(EXCLUDED.customer_id, abandoned_carts.customer_id),
-        cart_data = EXCLUDED.cart_data,
-        cart_total = EXCLUDED.cart_total,
-        updated_at = CURRENT_TIMESTAMP
-    `, [cartId, customerEmail, cart.customer_id, JSON.stringify(cart), cartTotal]);
+  return {
+    name: 'console',
+    automations: false,
+    async addToList(email, listName, fields = {}) {
+      console.log(`[console] Add ${email} to list "${listName}" with fields:`, fields);
+      return true;
+    },
+    async updateFields(email, fields = {}) {
+      console.log(`[console] Update ${email} fields:`, fields);
+      return true;
+    },
+    async unsubscribe(email) {
+      console.log(`[console] Unsubscribe ${email}`);
+      return true;
+    },
+    async getSubscriber() {
+      return null;
+    },
+    async forgetSubscriber(email) {
+      console.log(`[console] Forget ${email}`);
+      return true;
+    },
+    async sendTransactional(message) {
+      console.log(`[console] Email to ${message.to}: "${message.subject}"`);
+      if (outboxDir) {
+        try {
+          fs.mkdirSync(outboxDir, { recursive: true });
+          const safeTo = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+          const file = path.join(outboxDir, `${Date.now()}-${safeTo}.json`);
+          fs.writeFileSync(file, JSON.stringify({ from: EMAIL_FROM, ...message }, null, 2));
+        } catch (error) {
+          console.error('Error writing email to outbox:', error);
+          return false;
+        }
+      }
+      return true;
+    }
+  };
+}
 
-    console.log(`Cart ${cartId} updated. Email: ${customerEmail || 'unknown'}`);
-    res.status(200).json({ received: true });
-  } catch (error) {
-    console.error('Error processing cart update webhook:', error);
-    res.status(200).json({ received: true, error: error.message });
+const EMAIL_PROVIDERS = {
+  mailerlite: createMailerLiteProvider,
+  postmark: createPostmarkProvider,
+  sendgrid: createSendGridProvider,
+  smtp: createSmtpProvider,
+  console: createConsoleProvider
+};
+
+function createEmailProvider(name) {
+  const factory = EMAIL_PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown ESP_PROVIDER "${name}" - expected one of: ${Object.keys(EMAIL_PROVIDERS).join(', ')}`);
   }
-});
+  return factory();
+}
 
-// BigCommerce webhook: Order Created (marks cart as converted + updates MailerLite)
-app.post('/webhooks/order-created', async (req, res) => {
-  console.log('Order created webhook received');
-  
-  try {
-    const orderId = req.body.data?.id;
-    const orderData = await fetchFromBigCommerce(`/v2/orders/${orderId}`);
-    const cartId = orderData.cart_id;
-    const customerEmail = orderData.billing_address?.email;
-    
-    if (cartId) {
-      await pool.query(`
-        UPDATE abandoned_carts 
-        SET converted = TRUE, updated_at = CURRENT_TIMESTAMP 
-        WHERE cart_id = $1
-      `, [cartId]);
-      console.log(`Cart ${cartId} marked as converted (Order ${orderId})`);
-    }
+const emailProvider = createEmailProvider(ESP_PROVIDER);
 
-    // Update MailerLite with last purchase date for win-back automation
-    if (customerEmail) {
-      const today = new Date().toISOString().split('T')[0]; // Format: YYYY-MM-DD
-      await updateMailerLiteSubscriber(customerEmail, {
-        last_purchase_date: today
-      });
-      console.log(`Updated MailerLite last_purchase_date for ${customerEmail}: ${today}`);
-    }
+// Hand the subscriber to an ESP automation, or render the email and send it ourselves
+async function triggerEmail(type, email, listName, fields) {
+  // Last line of defence - the processors already filter suppressed addresses in SQL
+  if (await isSuppressed(email)) {
+    console.log(`Suppressed: not sending ${type} to ${email}`);
+    return false;
+  }
 
-    res.status(200).json({ received: true });
-  } catch (error) {
-    console.error('Error processing order webhook:', error);
-    res.status(200).json({ received: true, error: error.message });
+  if (emailProvider.automations) {
+    return emailProvider.addToList(email, listName, fields);
   }
-});
+
+  if (!UNSUBSCRIBE_SECRET) {
+    console.error(`UNSUBSCRIBE_SECRET not set: cannot build unsubscribe link, not sending ${type} to ${email}`);
+    return false;
+  }
+
+  const message = renderEmail(type, email, fields);
+  return emailProvider.sendTransactional({ to: email, ...message, headers: listUnsubscribeHeaders(email) });
+}
 
 // ===================
-// ADD TO CART TRACKING (syncs popup email to BigCommerce cart)
+// EMAIL TEMPLATES (for providers without automations)
 // ===================
-app.post('/track/add-to-cart', async (req, res) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
-  
-  try {
-    const { email } = req.body;
-    
-    if (!email) {
-      return res.status(200).json({ success: false, error: 'No email provided' });
-    }
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
 
-    console.log(`Add-to-cart detected for email: ${email}`);
+// URLs from the storefront tracker are untrusted: only http(s) is ever stored or linked
+function httpUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  try {
+    const url = new URL(value.trim());
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function formatPrice(value) {
+  return `$${parseFloat(value || 0).toFixed(2)}`;
+}
+
+const CART_EMAIL_SUBJECTS = [
+  'You left something in your cart',
+  'Your cart is still waiting',
+  'Last chance to complete your order'
+];
+
+// Returns { subject, html, text } built from the same fields the MailerLite automations use
+function renderEmail(type, email, fields) {
+  const storeUrl = fields.store_url || STORE_URL;
+  // Image redirects count opens too
+  const image = url => url ? `${url}${fields.send_id ? `&send=${fields.send_id}` : ''}` : cachedSetting('placeholder_image');
+  let subject;
+  let intro;
+  let products;
+  let cta;
+
+  if (type === 'browse_abandonment') {
+    subject = 'Still thinking it over?';
+    intro = 'We noticed you were checking these out:';
+    products = [1, 2]
+      .filter(n => fields[`browse_product_${n}_name`])
+      .map(n => ({
+        name: fields[`browse_product_${n}_name`],
+        url: fields[`browse_product_${n}_url`],
+        price: fields[`browse_product_${n}_price`],
+        image: image(fields[`browse_product_${n}_image_url`])
+      }));
+    cta = { label: 'Take another look', url: products[0]?.url || storeUrl };
+  } else if (type.startsWith('abandoned_cart_')) {
+    const step = parseInt(type.replace('abandoned_cart_', ''));
+    subject = CART_EMAIL_SUBJECTS[step - 1] || CART_EMAIL_SUBJECTS[0];
+    intro = `Your cart has ${fields.cart_item_count} item(s) totalling ${formatPrice(fields.cart_total)}:`;
+    products = [1, 2]
+      .filter(n => fields[`cart_product_${n}_name`])
+      .map(n => ({
+        name: fields[`cart_product_${n}_name`],
+        url: fields[`cart_product_${n}_url`],
+        price: fields[`cart_product_${n}_price`],
+        image: n === 1 ? image(fields.cart_image_url) : null
+      }));
+    cta = { label: 'Return to your cart', url: fields.cart_recovery_url || `${storeUrl}/cart.php` };
+  } else {
+    throw new Error(`No email template for type: ${type}`);
+  }
+
+  const productHtml = products.map(product => `
+    <tr><td style="padding:12px 0">
+      ${product.image ? `<a href="${escapeHtml(product.url)}"><img src="${escapeHtml(product.image)}" alt="" width="200" style="display:block"></a>` : ''}
+      <a href="${escapeHtml(product.url)}">${escapeHtml(product.name)}</a><br>${formatPrice(product.price)}
+    </td></tr>`).join('');
+
+  const html = `<!DOCTYPE html>
+<html><body style="font-family:Arial,sans-serif">
+  <p>${escapeHtml(intro)}</p>
+  <table>${productHtml}</table>
+  ${fields.coupon_code ? `<p>Use code <strong>${escapeHtml(fields.coupon_code)}</strong> for ${escapeHtml(fields.coupon_discount)} off (expires ${escapeHtml(new Date(fields.coupon_expires_at).toUTCString())}).</p>` : ''}
+  <p><a href="${escapeHtml(cta.url)}">${escapeHtml(cta.label)}</a></p>
+  <p style="font-size:12px;color:#888"><a href="${escapeHtml(unsubscribeUrl(email))}" style="color:#888">Unsubscribe</a></p>
+  ${fields.tracking_pixel_url ? `<img src="${escapeHtml(fields.tracking_pixel_url)}" alt="" width="1" height="1" style="display:block">` : ''}
+</body></html>`;
+
+  const text = [
+    intro,
+    '',
+    ...products.map(product => `${product.name} - ${formatPrice(product.price)}\n${product.url}`),
+    '',
+    ...(fields.coupon_code ? [`Use code ${fields.coupon_code} for ${fields.coupon_discount} off (expires ${new Date(fields.coupon_expires_at).toUTCString()}).`, ''] : []),
+    `${cta.label}: ${cta.url}`,
+    '',
+    `Unsubscribe: ${unsubscribeUrl(email)}`
+  ].join('\n');
+
+  return { subject, html, text };
+}
+
+// ===================
+// SUPPRESSION LIST
+// ===================
+// Emails are stored lowercased. Anything in here is never emailed or sent to the ESP.
+const SUPPRESSION_REASONS = ['unsubscribe', 'bounce', 'complaint', 'manual'];
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Erased data subjects stay suppressed by the hash of their address
+async function isSuppressed(email) {
+  const result = await pool.query(`
+    SELECT 1 FROM suppressions WHERE email = $1
+    UNION ALL
+    SELECT 1 FROM erased_suppressions WHERE email_hash = $2
+  `, [normalizeEmail(email), SUBJECT_HASH_SECRET ? hashSubjectEmail(normalizeEmail(email)) : null]);
+  return result.rows.length > 0;
+}
+
+async function addSuppression(email, reason, source) {
+  const normalized = normalizeEmail(email);
+  if (!normalized || !SUPPRESSION_REASONS.includes(reason)) {
+    throw new Error(`Invalid suppression: ${email} (${reason})`);
+  }
+
+  await pool.query(`
+    INSERT INTO suppressions (email, reason, source)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (email) 
+    DO UPDATE SET reason = EXCLUDED.reason, source = EXCLUDED.source, updated_at = CURRENT_TIMESTAMP
+  `, [normalized, reason, source]);
+
+  // Stop anything the ESP already has queued for them (MailerLite automations)
+  await emailProvider.unsubscribe(normalized);
+
+  console.log(`Suppressed ${normalized} (${reason}, ${source})`);
+}
+
+// One-click unsubscribe links are signed so nobody can unsubscribe someone else
+function unsubscribeToken(email) {
+  return crypto.createHmac('sha256', UNSUBSCRIBE_SECRET).update(normalizeEmail(email)).digest('base64url');
+}
+
+function unsubscribeUrl(email) {
+  return `${APP_URL}/unsubscribe?email=${encodeURIComponent(email)}&token=${unsubscribeToken(email)}`;
+}
+
+// RFC 8058 headers so mail clients can show their own unsubscribe button
+function listUnsubscribeHeaders(email) {
+  return {
+    'List-Unsubscribe': `<${unsubscribeUrl(email)}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+function verifyUnsubscribeToken(email, token) {
+  if (!UNSUBSCRIBE_SECRET || !email || !token) return false;
+  return safeEqual(String(token), unsubscribeToken(email));
+}
+
+function unsubscribePage(message, form = '') {
+  return `<!DOCTYPE html>
+<html><head><meta name="viewport" content="width=device-width, initial-scale=1"><title>Unsubscribe</title></head>
+<body style="font-family:Arial,sans-serif;max-width:480px;margin:40px auto;text-align:center">
+  <p>${message}</p>
+  ${form}
+</body></html>`;
+}
+
+// Unsubscribe link in the email footer: confirm first, so link scanners can't unsubscribe people
+app.get('/unsubscribe', (req, res) => {
+  const { email, token } = req.query;
+
+  if (!verifyUnsubscribeToken(email, token)) {
+    return res.status(400).send(unsubscribePage('This unsubscribe link is invalid or incomplete.'));
+  }
+
+  res.send(unsubscribePage(
+    `Unsubscribe <strong>${escapeHtml(email)}</strong> from our emails?`,
+    `<form method="POST"><button type="submit">Unsubscribe</button></form>`
+  ));
+});
+
+// Confirmation form and List-Unsubscribe-Post one-click requests both land here
+app.post('/unsubscribe', express.urlencoded({ extended: false }), async (req, res) => {
+  const { email, token } = req.query;
+
+  if (!verifyUnsubscribeToken(email, token)) {
+    return res.status(400).send(unsubscribePage('This unsubscribe link is invalid or incomplete.'));
+  }
+
+  try {
+    await addSuppression(email, 'unsubscribe', 'unsubscribe_link');
+    res.send(unsubscribePage(`<strong>${escapeHtml(email)}</strong> has been unsubscribed.`));
+  } catch (error) {
+    console.error('Error processing unsubscribe:', error);
+    res.status(500).send(unsubscribePage('Something went wrong. Please try again.'));
+  }
+});
+
+// Normalize provider bounce/complaint/unsubscribe webhooks into [{ email, reason }]
+const ESP_EVENT_PARSERS = {
+  postmark(body) {
+    const events = Array.isArray(body) ? body : [body];
+    return events.map(event => {
+      // Postmark deactivates the address on hard bounces; soft bounces aren't suppressed
+      if (event.RecordType === 'Bounce' && event.Inactive) return { email: event.Email, reason: 'bounce' };
+      if (event.RecordType === 'SpamComplaint') return { email: event.Email, reason: 'complaint' };
+      if (event.RecordType === 'SubscriptionChange' && event.SuppressSending) return { email: event.Recipient, reason: 'unsubscribe' };
+      return null;
+    });
+  },
+
+  sendgrid(body) {
+    const reasons = { bounce: 'bounce', spamreport: 'complaint', unsubscribe: 'unsubscribe', group_unsubscribe: 'unsubscribe' };
+    return (Array.isArray(body) ? body : [body]).map(event => {
+      // "blocked" bounces are temporary
+      if (!reasons[event.event] || (event.event === 'bounce' && event.type === 'blocked')) return null;
+      return { email: event.email, reason: reasons[event.event] };
+    });
+  },
+
+  mailerlite(body) {
+    const reasons = { 'subscriber.unsubscribed': 'unsubscribe', 'subscriber.bounced': 'bounce', 'subscriber.spam_reported': 'complaint' };
+    const events = Array.isArray(body.events) ? body.events : [body];
+    return events.map(event => {
+      const email = event.data?.subscriber?.email || event.data?.email || event.email;
+      return reasons[event.type] ? { email: email, reason: reasons[event.type] } : null;
+    });
+  }
+};
+
+// Provider webhooks: POST /webhooks/esp/postmark?token=ESP_WEBHOOK_SECRET
+app.post('/webhooks/esp/:provider', async (req, res) => {
+  const parser = ESP_EVENT_PARSERS[req.params.provider];
+  if (!parser) {
+    return res.status(404).json({ received: false, error: 'Unknown provider' });
+  }
+
+  if (!ESP_WEBHOOK_SECRET || !safeEqual(String(req.query.token || ''), ESP_WEBHOOK_SECRET)) {
+    console.error(`Rejected ESP webhook from ${req.params.provider}: invalid token`);
+    return res.status(401).json({ received: false, error: 'Invalid token' });
+  }
+
+  try {
+    const events = parser(req.body || {}).filter(event => event && event.email);
+    for (const event of events) {
+      await addSuppression(event.email, event.reason, `${req.params.provider}_webhook`);
+    }
+    res.status(200).json({ received: true, suppressed: events.length });
+  } catch (error) {
+    console.error('Error processing ESP webhook:', error);
+    // Non-2xx so the provider retries
+    res.status(500).json({ received: false, error: error.message });
+  }
+});
+
+// ===================
+// BROWSE ABANDONMENT PROCESSOR
+// ===================
+
+const BROWSE_PRODUCT_CANDIDATES = 10;
+
+// Unsent products with images that are old enough to email about, most recently viewed first
+async function getBrowseProducts(storeHash, email, settings) {
+  const productsResult = await pool.query(`
+    SELECT DISTINCT ON (product_id) 
+      product_id, product_name, product_url, product_image, product_price, viewed_at
+    FROM browse_events
+    WHERE store_hash = $1
+      AND customer_email = $2 
+      AND email_sent = FALSE
+      AND viewed_at < NOW() - $3 * INTERVAL '1 hour'
+      AND product_image IS NOT NULL
+      AND product_image != ''
+    ORDER BY product_id, viewed_at DESC
+  `, [storeHash, email, settings.browse_delay_hours]);
+
+  return productsResult.rows
+    .sort((a, b) => new Date(b.viewed_at) - new Date(a.viewed_at))
+    .slice(0, BROWSE_PRODUCT_CANDIDATES);
+}
+
+// Top 2 most recent products that are still for sale, with current catalog details.
+// If the catalog can't be reached the tracked details are used as they are.
+async function selectBrowseProducts(store, email, settings) {
+  const candidates = await getBrowseProducts(store.storeHash, email, settings);
+  const selected = [];
+
+  for (const candidate of candidates) {
+    let product;
+    try {
+      product = await getProduct(store, candidate.product_id, PRODUCT_SEND_MAX_AGE_MS);
+    } catch (error) {
+      console.error(`Error checking product ${candidate.product_id} for store ${store.storeHash}:`, error.message);
+      selected.push(candidate);
+    }
+
+    if (product && isProductAvailable(product)) {
+      selected.push({
+        ...candidate,
+        product_name: product.name || candidate.product_name,
+        product_url: product.url || candidate.product_url,
+        product_image: product.image_url || candidate.product_image,
+        product_price: catalogPrice(product)
+      });
+    }
+
+    if (selected.length === 2) break;
+  }
+
+  return selected;
+}
+
+// Email fields (MailerLite subscriber fields / template data)
+function buildBrowseFields(products, storeHash, settings) {
+  return {
+    browse_product_count: products.length,
+    browse_product_1_name: products[0]?.product_name || '',
+    browse_product_1_url: products[0]?.product_url || '',
+    browse_product_1_price: products[0]?.product_price || 0,
+    browse_product_1_image_url: products[0] ? browseImageUrl(storeHash, products[0].product_id, settings) : '',
+    browse_product_2_name: products[1]?.product_name || '',
+    browse_product_2_url: products[1]?.product_url || '',
+    browse_product_2_price: products[1]?.product_price || 0,
+    browse_product_2_image_url: products[1] ? browseImageUrl(storeHash, products[1].product_id, settings) : ''
+  };
+}
+
+// With dryRun the same selection runs but nothing is sent or written.
+// Returns what was (or would be) sent and what was skipped.
+async function processBrowseAbandonment({ dryRun = false } = {}) {
+  console.log(`Checking for browse abandonment${dryRun ? ' (dry run)' : ''}...`);
+  const outcome = { sends: [], skipped: [] };
+  
+  try {
+    const settings = await getSettings();
+
+    // Find emails (per store) with browse events that:
+    // - Have an email and belong to an installed store
+    // - Were viewed more than browse_delay_hours ago
+    // - Haven't been sent a browse email yet, or skipped for having nothing left to sell
+    // - Do NOT have an active abandoned cart in that store (the cart sequence handles those)
+    // Oldest views first, so every candidate gets its turn however big the backlog
+    const result = await pool.query(`
+      SELECT be.store_hash, be.customer_email
+      FROM browse_events be
+      JOIN stores st ON st.store_hash = be.store_hash AND st.status = 'active'
+      WHERE be.customer_email IS NOT NULL 
+        AND be.customer_email != ''
+        AND be.email_sent = FALSE
+        AND be.browse_skipped_at IS NULL
+        AND be.viewed_at < NOW() - $1 * INTERVAL '1 hour'
+        AND be.product_image IS NOT NULL
+        AND be.product_image != ''
+        AND NOT EXISTS (
+          SELECT 1 FROM suppressions s WHERE s.email = LOWER(be.customer_email)
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM abandoned_carts ac 
+          WHERE ac.store_hash = be.store_hash
+            AND ac.customer_email = be.customer_email 
+            AND ac.converted = FALSE
+            AND ac.updated_at > NOW() - $2 * INTERVAL '1 hour'
+        )
+      GROUP BY be.store_hash, be.customer_email
+      ORDER BY MIN(be.viewed_at)
+      LIMIT $3
+    `, [settings.browse_delay_hours, settings.browse_cart_exclusion_hours, settings.browse_batch_size]);
+
+    console.log(`Found ${result.rows.length} browse abandonment emails to process`);
+
+    for (const row of result.rows) {
+      const email = row.customer_email;
+      const storeHash = row.store_hash;
+      
+      // Test mode check
+      if (!isAllowedInTestMode(email, settings)) {
+        console.log(`TEST MODE: Skipping browse abandonment for ${email}`);
+        outcome.skipped.push({ email: email, storeHash: storeHash, reason: 'Not on the test mode allowlist' });
+        continue;
+      }
+
+      const store = await getActiveStore(storeHash);
+      if (!store) {
+        outcome.skipped.push({ email: email, storeHash: storeHash, reason: 'Store not installed' });
+        continue;
+      }
+
+      const products = await selectBrowseProducts(store, email, settings);
+
+      if (products.length === 0) {
+        console.log(`No available products with images for ${email}, skipping`);
+        outcome.skipped.push({ email: email, storeHash: storeHash, reason: 'No products with images that are still for sale' });
+
+        // Out of the running until they view something new (which re-checks these products too)
+        if (!dryRun) {
+          await pool.query(`
+            UPDATE browse_events
+            SET browse_skipped_at = CURRENT_TIMESTAMP
+            WHERE store_hash = $1 AND customer_email = $2 AND email_sent = FALSE AND browse_skipped_at IS NULL
+              AND viewed_at < NOW() - $3 * INTERVAL '1 hour'
+          `, [storeHash, email, settings.browse_delay_hours]);
+        }
+        continue;
+      }
+
+      const fields = { ...buildBrowseFields(products, storeHash, settings), ...storeFields(store) };
+      const send = {
+        email: email,
+        storeHash: storeHash,
+        listName: settings.browse_list_name,
+        fields: fields,
+        productIds: products.map(product => product.product_id)
+      };
+
+      if (dryRun) {
+        outcome.sends.push(send);
+        continue;
+      }
+
+      console.log(`Processing browse abandonment for ${email} with ${products.length} products`);
+      
+      const tracking = trackSend(fields);
+      await saveTrackedLinks(tracking);
+      const success = await triggerEmail('browse_abandonment', email, settings.browse_list_name, tracking.fields);
+      
+      if (success) {
+        await pool.query(`
+          UPDATE browse_events 
+          SET email_sent = TRUE 
+          WHERE store_hash = $1 AND customer_email = $2 AND email_sent = FALSE
+        `, [storeHash, email]);
+        
+        await pool.query(`
+          INSERT INTO email_log (email_type, recipient_email, product_id, store_hash, send_id)
+          VALUES ('browse_abandonment', $1, $2, $3, $4)
+        `, [email, products[0].product_id, storeHash, tracking.sendId]);
+        
+        console.log(`Successfully processed browse abandonment for ${email} (store ${storeHash})`);
+        outcome.sends.push({ ...send, sendId: tracking.sendId });
+      } else {
+        outcome.skipped.push({ email: email, storeHash: storeHash, reason: 'Email provider did not accept the send' });
+      }
+    }
+  } catch (error) {
+    console.error('Error processing browse abandonment:', error);
+    if (dryRun) throw error;
+  }
+
+  return outcome;
+}
+
+// ===================
+// CART RECOVERY PROCESSOR
+// ===================
+// With dryRun the same selection runs but nothing is sent or written.
+// Returns what was (or would be) sent and what was skipped.
+async function processCartRecovery({ dryRun = false } = {}) {
+  console.log(`Checking for abandoned cart recovery emails${dryRun ? ' (dry run)' : ''}...`);
+  const outcome = { sends: [], skipped: [] };
+
+  try {
+    const settings = await getSettings();
+    const delays = settings.cart_email_delays;
+
+    for (let step = 1; step <= 3; step++) {
+      const delayHours = delays[step - 1];
+      // Minimum time since the previous touch, so old carts don't get every step back to back
+      const gapHours = step === 1 ? 0 : delayHours - delays[step - 2];
+
+      // Find carts that:
+      // - Have an email, haven't converted and belong to an installed store
+      // - Have gone quiet for longer than this step's delay
+      // - Got the previous step (but not this one) at least gapHours ago
+      const result = await pool.query(`
+        SELECT ac.cart_id, ac.store_hash, ac.customer_email, ac.cart_data, ac.cart_total
+        FROM abandoned_carts ac
+        JOIN stores st ON st.store_hash = ac.store_hash AND st.status = 'active'
+        WHERE ac.customer_email IS NOT NULL
+          AND ac.customer_email != ''
+          AND ac.converted = FALSE
+          AND ac.replaced_by IS NULL
+          AND ac.email_sent_${step} = FALSE
+          AND NOT EXISTS (
+            SELECT 1 FROM suppressions s WHERE s.email = LOWER(ac.customer_email)
+          )
+          ${step > 1 ? `AND ac.email_sent_${step - 1} = TRUE` : ''}
+          AND ac.updated_at < NOW() - $1 * INTERVAL '1 hour'
+          AND ($2::numeric IS NULL OR ac.updated_at > NOW() - $2 * INTERVAL '1 day')
+          AND NOT EXISTS (
+            SELECT 1 FROM email_log el
+            WHERE el.cart_id = ac.cart_id
+              AND el.email_type LIKE 'abandoned_cart_%'
+              AND el.sent_at > NOW() - $3 * INTERVAL '1 hour'
+          )
+        ORDER BY ac.updated_at
+        LIMIT $4
+      `, [delayHours, step === 1 ? settings.cart_recovery_max_age_days : null, gapHours, settings.cart_batch_size]);
+
+      console.log(`Found ${result.rows.length} carts due for recovery email ${step}`);
+
+      for (const cart of result.rows) {
+        const attempt = await sendCartRecoveryEmail(cart, step, settings, dryRun);
+        if (attempt.sent) {
+          outcome.sends.push(attempt.send);
+        } else {
+          outcome.skipped.push({ email: cart.customer_email, storeHash: cart.store_hash, cartId: cart.cart_id, step: step, reason: attempt.reason });
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error processing cart recovery:', error);
+    if (dryRun) throw error;
+  }
+
+  return outcome;
+}
+
+// Email fields (MailerLite subscriber fields / template data)
+function buildCartFields(cart, step, items, coupon = null) {
+  return {
+    ...couponFields(coupon),
+    cart_step: step,
+    cart_total: cart.cart_total || 0,
+    cart_item_count: items.reduce((sum, item) => sum + (item.quantity || 1), 0),
+    cart_product_1_name: items[0]?.name || '',
+    cart_product_1_url: items[0]?.url || '',
+    cart_product_1_price: items[0]?.sale_price || items[0]?.list_price || 0,
+    cart_product_2_name: items[1]?.name || '',
+    cart_product_2_url: items[1]?.url || '',
+    cart_product_2_price: items[1]?.sale_price || items[1]?.list_price || 0
+  };
+}
+
+// Returns { sent: true, send } or { sent: false, reason }. With dryRun "sent" means "would send".
+async function sendCartRecoveryEmail(cart, step, settings, dryRun = false) {
+  const email = cart.customer_email;
+
+  // Test mode check
+  if (!isAllowedInTestMode(email, settings)) {
+    console.log(`TEST MODE: Skipping cart recovery ${step} for ${email}`);
+    return { sent: false, reason: 'Not on the test mode allowlist' };
+  }
+
+  // Re-check right before sending - the order webhook may have landed since the query ran
+  const current = await pool.query('SELECT converted FROM abandoned_carts WHERE cart_id = $1', [cart.cart_id]);
+  if (current.rows.length === 0 || current.rows[0].converted) {
+    console.log(`Cart ${cart.cart_id} converted, stopping recovery sequence`);
+    return { sent: false, reason: 'Cart converted' };
+  }
+
+  const items = getCartLineItems(cart.cart_data);
+  if (items.length === 0) {
+    console.log(`Cart ${cart.cart_id} has no line items, skipping`);
+    return { sent: false, reason: 'Cart has no line items' };
+  }
+
+  const store = await getActiveStore(cart.store_hash);
+  if (!store) {
+    return { sent: false, reason: 'Store not installed' };
+  }
+
+  const coupon = dryRun ? await planRecoveryCoupon(cart, step, settings) : await issueRecoveryCoupon(store, cart, step, settings);
+  const send = {
+    email: email,
+    storeHash: cart.store_hash,
+    cartId: cart.cart_id,
+    step: step,
+    listName: settings.cart_list_names[step - 1],
+    fields: {
+      ...buildCartFields(cart, step, items, coupon),
+      ...storeFields(store),
+      cart_image_url: cartImageUrl(cart, settings),
+      cart_summary_image_url: cartSummaryUrl(cart, settings),
+      cart_recovery_url: recoveryUrl(cart, step, settings)
+    }
+  };
+
+  if (dryRun) {
+    return { sent: true, send: send };
+  }
+
+  const tracking = trackSend(send.fields);
+  await saveTrackedLinks(tracking);
+  const success = await triggerEmail(`abandoned_cart_${step}`, email, send.listName, tracking.fields);
+
+  if (success) {
+    await pool.query(`
+      UPDATE abandoned_carts 
+      SET email_sent_${step} = TRUE 
+      WHERE cart_id = $1
+    `, [cart.cart_id]);
+
+    await pool.query(`
+      INSERT INTO email_log (email_type, recipient_email, cart_id, product_id, store_hash, send_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [`abandoned_cart_${step}`, email, cart.cart_id, items[0].product_id || null, cart.store_hash, tracking.sendId]);
+
+    console.log(`Sent cart recovery email ${step} for cart ${cart.cart_id} to ${email}`);
+    return { sent: true, send: { ...send, sendId: tracking.sendId } };
+  }
+
+  return { sent: false, reason: 'Email provider did not accept the send' };
+}
+
+// ===================
+// RECOVERY COUPONS
+// ===================
+// Qualifying cart recovery emails (coupon_* settings) carry a single-use code. Codes belong to one
+// BigCommerce promotion per store and discount, are reused for later steps of the same cart, and
+// are deleted from BigCommerce once they expire unused. Codes have no end date of their own in
+// BigCommerce (only the shared promotion does), so that hourly delete is the only thing enforcing
+// the expiry: codes still live COUPON_OVERDUE_HOURS past it are logged as an ALERT every run.
+const COUPON_CODE_PREFIX = 'PAB-';
+const COUPON_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';   // 32 characters, no 0/O or 1/I
+const COUPON_DELETE_BATCH = 50;
+const COUPON_OVERDUE_HOURS = 2;
+
+function generateCouponCode() {
+  return COUPON_CODE_PREFIX + [...crypto.randomBytes(8)].map(byte => COUPON_CODE_ALPHABET[byte % 32]).join('');
+}
+
+function qualifiesForCoupon(cart, step, settings) {
+  return settings.coupon_enabled &&
+    settings.coupon_steps.includes(step) &&
+    parseFloat(cart.cart_total || 0) >= settings.coupon_min_cart_total;
+}
+
+function formatCouponDiscount(type, amount) {
+  return type === 'percentage' ? `${parseFloat(amount)}%` : formatPrice(amount);
+}
+
+// Always sets every coupon field, so a previous email's code never lingers on the subscriber
+function couponFields(coupon) {
+  return {
+    coupon_code: coupon?.code || '',
+    coupon_discount: coupon ? formatCouponDiscount(coupon.discount_type, coupon.amount) : '',
+    coupon_expires_at: coupon ? new Date(coupon.expires_at).toISOString() : ''
+  };
+}
+
+async function findActiveCoupon(storeHash, cartId) {
+  const result = await pool.query(`
+    SELECT * FROM recovery_coupons 
+    WHERE cart_id = $1 AND store_hash = $2 AND status = 'active' AND expires_at > NOW() 
+    ORDER BY created_at DESC 
+    LIMIT 1
+  `, [cartId, storeHash]);
+  return result.rows[0] || null;
+}
+
+// Dry runs: the coupon a send would carry, without touching BigCommerce
+async function planRecoveryCoupon(cart, step, settings) {
+  if (!qualifiesForCoupon(cart, step, settings)) return null;
+
+  return await findActiveCoupon(cart.store_hash, cart.cart_id) || {
+    code: '(generated on send)',
+    discount_type: settings.coupon_discount_type,
+    amount: settings.coupon_amount,
+    expires_at: new Date(Date.now() + settings.coupon_expiry_hours * 3600 * 1000)
+  };
+}
+
+// Finds or creates the store's promotion for the configured discount
+async function getRecoveryPromotion(store, settings) {
+  const discountKey = `${settings.coupon_discount_type}:${settings.coupon_amount}`;
+  const existing = await pool.query(
+    'SELECT promotion_id FROM recovery_promotions WHERE store_hash = $1 AND discount_key = $2',
+    [store.storeHash, discountKey]
+  );
+  if (existing.rows.length > 0) {
+    return { id: existing.rows[0].promotion_id, discountKey: discountKey };
+  }
+
+  const discount = settings.coupon_discount_type === 'percentage'
+    ? { percentage_amount: String(settings.coupon_amount) }
+    : { fixed_amount: String(settings.coupon_amount) };
+
+  const created = await fetchFromBigCommerce(store, '/v3/promotions', {
+    method: 'POST',
+    body: {
+      name: `Peek-a-Boo cart recovery (${formatCouponDiscount(settings.coupon_discount_type, settings.coupon_amount)} off)`,
+      redemption_type: 'COUPON',
+      status: 'ENABLED',
+      can_be_used_with_other_promotions: false,
+      rules: [{ action: { cart_value: { discount: discount } }, apply_once: true, stop: true }]
+    }
+  });
+
+  await pool.query(`
+    INSERT INTO recovery_promotions (store_hash, discount_key, promotion_id)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (store_hash, discount_key) DO UPDATE SET promotion_id = EXCLUDED.promotion_id
+  `, [store.storeHash, discountKey, created.data.id]);
+
+  console.log(`Created recovery promotion ${created.data.id} (${discountKey}) for store ${store.storeHash}`);
+  return { id: created.data.id, discountKey: discountKey };
+}
+
+// Returns the cart's coupon (existing or new), or null if it doesn't qualify or BigCommerce fails.
+// A failed coupon never blocks the email.
+async function issueRecoveryCoupon(store, cart, step, settings) {
+  if (!qualifiesForCoupon(cart, step, settings)) return null;
+
+  try {
+    const existing = await findActiveCoupon(cart.store_hash, cart.cart_id);
+    if (existing) return existing;
+
+    let promotion = await getRecoveryPromotion(store, settings);
+    let created;
+    for (let attempt = 1; !created; attempt++) {
+      const code = generateCouponCode();
+      try {
+        created = await fetchFromBigCommerce(store, `/v3/promotions/${promotion.id}/codes`, {
+          method: 'POST',
+          body: { code: code, max_uses: 1, max_uses_per_customer: 1 }
+        });
+      } catch (error) {
+        if (attempt >= 3) throw error;
+        // Promotion deleted in the control panel - forget it and make a new one
+        if (error.status === 404) {
+          await pool.query('DELETE FROM recovery_promotions WHERE store_hash = $1 AND discount_key = $2', [store.storeHash, promotion.discountKey]);
+          promotion = await getRecoveryPromotion(store, settings);
+        } else if (error.status !== 409 && error.status !== 422) {
+          throw error;
+        }
+        // 409/422: code already taken - try another
+      }
+    }
+
+    const result = await pool.query(`
+      INSERT INTO recovery_coupons (store_hash, cart_id, email, step, code, promotion_id, code_id, discount_type, amount, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW() + $10 * INTERVAL '1 hour')
+      RETURNING *
+    `, [store.storeHash, cart.cart_id, cart.customer_email, step, created.data.code, promotion.id, created.data.id,
+        settings.coupon_discount_type, settings.coupon_amount, settings.coupon_expiry_hours]);
+
+    console.log(`Issued coupon ${created.data.code} for cart ${cart.cart_id}`);
+    return result.rows[0];
+  } catch (error) {
+    console.error(`Error issuing coupon for cart ${cart.cart_id}, sending without one:`, error.body || error.message);
+    return null;
+  }
+}
+
+// Order webhook: mark our codes used on this order as redeemed
+async function redeemRecoveryCoupons(store, orderId, orderData) {
+  if (!(parseFloat(orderData.coupon_discount) > 0)) return;
+
+  const coupons = await fetchFromBigCommerce(store, `/v2/orders/${orderId}/coupons`);
+  const codes = (Array.isArray(coupons) ? coupons : []).map(coupon => coupon.code).filter(Boolean);
+  if (codes.length === 0) return;
+
+  const redeemed = await pool.query(`
+    UPDATE recovery_coupons 
+    SET status = 'redeemed', order_id = $3, redeemed_at = CURRENT_TIMESTAMP 
+    WHERE store_hash = $1 AND code = ANY($2) AND status != 'redeemed'
+    RETURNING code
+  `, [store.storeHash, codes, orderId]);
+
+  for (const row of redeemed.rows) {
+    console.log(`Coupon ${row.code} redeemed on order ${orderId}`);
+  }
+}
+
+// Deletes expired, unused codes from BigCommerce and marks them expired
+async function expireRecoveryCoupons() {
+  try {
+    const result = await pool.query(`
+      SELECT id, store_hash, promotion_id, code_id 
+      FROM recovery_coupons 
+      WHERE status = 'active' AND expires_at < NOW() 
+      ORDER BY store_hash, promotion_id 
+      LIMIT 1000
+    `);
+
+    const groups = new Map();
+    for (const row of result.rows) {
+      const key = `${row.store_hash}:${row.promotion_id}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+
+    let expired = 0;
+    for (const rows of groups.values()) {
+      const store = await getActiveStore(rows[0].store_hash);
+
+      // Uninstalled stores: BigCommerce is unreachable, just record the expiry
+      if (store) {
+        try {
+          for (let i = 0; i < rows.length; i += COUPON_DELETE_BATCH) {
+            const ids = rows.slice(i, i + COUPON_DELETE_BATCH).map(row => row.code_id).filter(Boolean);
+            if (ids.length > 0) {
+              await fetchFromBigCommerce(store, `/v3/promotions/${rows[0].promotion_id}/codes?id:in=${ids.join(',')}`, { method: 'DELETE' });
+            }
+          }
+        } catch (error) {
+          // Promotion already gone counts as deleted; anything else is retried next run
+          if (error.status !== 404) {
+            console.error(`Error deleting expired coupons for store ${rows[0].store_hash}:`, error.body || error.message);
+            continue;
+          }
+        }
+      }
+
+      const updated = await pool.query(`
+        UPDATE recovery_coupons SET status = 'expired' WHERE id = ANY($1) AND status = 'active'
+      `, [rows.map(row => row.id)]);
+      expired += updated.rowCount;
+    }
+
+    if (expired > 0) {
+      console.log(`Expired ${expired} unused recovery coupons`);
+    }
+  } catch (error) {
+    console.error('Error expiring recovery coupons:', error);
+  }
+
+  try {
+    const overdue = await pool.query(`
+      SELECT COUNT(*) as count, MIN(expires_at) as oldest
+      FROM recovery_coupons
+      WHERE status = 'active' AND expires_at < NOW() - $1 * INTERVAL '1 hour'
+    `, [COUPON_OVERDUE_HOURS]);
+    const count = parseInt(overdue.rows[0].count);
+    if (count > 0) {
+      console.error(`ALERT: ${count} expired recovery coupons are still redeemable in BigCommerce (oldest expired ${formatDateTime(overdue.rows[0].oldest)})`);
+    }
+  } catch (error) {
+    console.error('ALERT: could not check for overdue recovery coupons:', error);
+  }
+}
+
+// Clean up expired coupons every hour
+schedule('20 * * * *', () => {
+  expireRecoveryCoupons();
+});
+
+// ===================
+// CART RECOVERY LINKS
+// ===================
+// /recover/:token takes the shopper from a cart recovery email to checkout on any device.
+// The token is "payload.signature": base64url JSON { c: cartId, s: storeHash, n: step, x: expiry (epoch s) }
+// signed with RECOVERY_LINK_SECRET. A live cart goes straight to its checkout URL; an expired one is
+// rebuilt from the stored line items and takes over the recovery sequence (replaced_by).
+
+function signRecoveryPayload(payload) {
+  return crypto.createHmac('sha256', RECOVERY_LINK_SECRET).update(payload).digest('base64url');
+}
+
+function recoveryToken(cart, step, settings) {
+  const payload = Buffer.from(JSON.stringify({
+    c: cart.cart_id,
+    s: cart.store_hash,
+    n: step,
+    x: Math.floor(Date.now() / 1000) + settings.recovery_link_days * 24 * 3600
+  })).toString('base64url');
+  return `${payload}.${signRecoveryPayload(payload)}`;
+}
+
+// Empty when RECOVERY_LINK_SECRET isn't set - emails fall back to the store's cart page
+function recoveryUrl(cart, step, settings) {
+  return RECOVERY_LINK_SECRET ? `${APP_URL}/recover/${recoveryToken(cart, step, settings)}` : '';
+}
+
+// Returns { cartId, storeHash, step, expired } for a genuine token, otherwise null
+function verifyRecoveryToken(token) {
+  if (!RECOVERY_LINK_SECRET) return null;
+
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature || !safeEqual(signature, signRecoveryPayload(payload))) return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return { cartId: data.c, storeHash: data.s, step: data.n, expired: data.x < Date.now() / 1000 };
+  } catch (error) {
+    return null;
+  }
+}
+
+async function logRecoveryClick(req, link, outcome, newCartId = null) {
+  try {
+    await pool.query(`
+      INSERT INTO recovery_clicks (store_hash, cart_id, step, outcome, new_cart_id, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [link.storeHash, link.cartId, link.step || null, outcome, newCartId, req.ip, (req.get('User-Agent') || '').slice(0, 500)]);
+  } catch (error) {
+    console.error('Error recording recovery click:', error);
+  }
+}
+
+// Checkout URL for a cart that still exists in BigCommerce, or null if it's gone
+async function liveCheckoutUrl(store, cartId) {
+  try {
+    const result = await fetchFromBigCommerce(store, `/v3/carts/${cartId}/redirect_urls`, { method: 'POST' });
+    return result.data.checkout_url;
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+// Creates a new BigCommerce cart with the stored cart's items. Returns { cartId, checkoutUrl }.
+async function recreateCart(store, cart) {
+  const lineItems = cart.cart_data?.line_items || {};
+  const toLineItem = item => ({
+    product_id: item.product_id,
+    variant_id: item.variant_id,
+    quantity: item.quantity || 1,
+    option_selections: (item.options || [])
+      .filter(option => option.nameId)
+      .map(option => ({ option_id: option.nameId, option_value: option.valueId ?? option.value }))
+  });
+
+  const body = {
+    line_items: [...(lineItems.physical_items || []), ...(lineItems.digital_items || [])].map(toLineItem),
+    custom_items: (lineItems.custom_items || []).map(item => ({
+      sku: item.sku,
+      name: item.name,
+      quantity: item.quantity || 1,
+      list_price: item.list_price
+    }))
+  };
+  if (cart.cart_data?.channel_id) body.channel_id = cart.cart_data.channel_id;
+  if (cart.cart_data?.currency?.code) body.currency = { code: cart.cart_data.currency.code };
+
+  const created = await fetchFromBigCommerce(store, '/v3/carts?include=redirect_urls', { method: 'POST', body: body });
+  const newCartId = created.data.id;
+
+  // Guest carts get the shopper's email back; the sequence moves to the new cart where it left off
+  if (cart.customer_email && !cart.customer_id) {
+    await updateCartEmail(store, newCartId, cart.customer_email);
+  }
+
+  await pool.query(`
+    INSERT INTO abandoned_carts (cart_id, store_hash, customer_email, customer_id, cart_data, cart_total, 
+                                 email_sent_1, email_sent_2, email_sent_3, updated_at)
+    SELECT $1, store_hash, customer_email, customer_id, $3, cart_total, email_sent_1, email_sent_2, email_sent_3, CURRENT_TIMESTAMP
+    FROM abandoned_carts WHERE cart_id = $2
+    ON CONFLICT (cart_id) DO NOTHING
+  `, [newCartId, cart.cart_id, JSON.stringify(created.data)]);
+
+  await pool.query('UPDATE abandoned_carts SET replaced_by = $1 WHERE cart_id = $2', [newCartId, cart.cart_id]);
+
+  // Unused recovery coupons follow the cart
+  await pool.query(`UPDATE recovery_coupons SET cart_id = $1 WHERE cart_id = $2 AND status = 'active'`, [newCartId, cart.cart_id]);
+
+  return { cartId: newCartId, checkoutUrl: created.data.redirect_urls?.checkout_url };
+}
+
+function recoveryFallbackUrl(store) {
+  const storeUrl = store?.storeUrl || STORE_URL;
+  return storeUrl ? `${storeUrl}/cart.php` : null;
+}
+
+function recoveryLinkPage(res, status, message) {
+  res.status(status).send(appPage('Your cart', `<p>${escapeHtml(message)}</p>`));
+}
+
+// A cart is only recreated by a POST from this page's button. Scanners and prefetches that don't
+// announce themselves still follow GETs, so a GET for a cart that needs recreating gets the page too.
+function recoveryInterstitial(res, token) {
+  res.set('Cache-Control', 'no-store');
+  res.status(200).send(appPage('Your cart', `
+  <p>Your cart is waiting.</p>
+  <form method="post" action="/recover/${escapeHtml(encodeURIComponent(token))}"><button type="submit">Restore my cart</button></form>`));
+}
+
+async function followRecoveryLink(req, res) {
+  const link = verifyRecoveryToken(req.params.token);
+  if (!link) {
+    return recoveryLinkPage(res, 404, 'This link is not valid.');
+  }
+
+  // Known scanners don't even get the live-cart lookup
+  if (req.method !== 'POST' && requestBotReason(req)) {
+    await logRecoveryClick(req, link, 'bot');
+    return recoveryInterstitial(res, req.params.token);
+  }
+
+  let store = null;
+  try {
+    store = await getActiveStore(link.storeHash);
+    const fallback = recoveryFallbackUrl(store);
+
+    if (link.expired || !store) {
+      await logRecoveryClick(req, link, 'expired');
+      return fallback ? res.redirect(fallback) : recoveryLinkPage(res, 410, 'This link has expired.');
+    }
+
+    // Follow the chain to the newest copy of the cart
+    let result = await pool.query('SELECT * FROM abandoned_carts WHERE cart_id = $1 AND store_hash = $2', [link.cartId, link.storeHash]);
+    for (let hops = 0; result.rows[0]?.replaced_by && hops < 5; hops++) {
+      result = await pool.query('SELECT * FROM abandoned_carts WHERE cart_id = $1', [result.rows[0].replaced_by]);
+    }
+    const cart = result.rows[0];
+
+    if (!cart || cart.converted) {
+      await logRecoveryClick(req, link, 'converted');
+      return res.redirect(store.storeUrl || fallback || '/');
+    }
+
+    const checkoutUrl = await liveCheckoutUrl(store, cart.cart_id);
+    if (checkoutUrl) {
+      await logRecoveryClick(req, link, 'live', cart.cart_id !== link.cartId ? cart.cart_id : null);
+      return res.redirect(checkoutUrl);
+    }
+
+    if (req.method !== 'POST') {
+      return recoveryInterstitial(res, req.params.token);
+    }
+
+    const recreated = await recreateCart(store, cart);
+    console.log(`Recreated cart ${cart.cart_id} as ${recreated.cartId} from a recovery link`);
+    await logRecoveryClick(req, link, 'recreated', recreated.cartId);
+    res.redirect(recreated.checkoutUrl || fallback);
+  } catch (error) {
+    console.error('Error following recovery link:', error.body || error);
+    await logRecoveryClick(req, link, 'failed');
+    const fallback = recoveryFallbackUrl(store);
+    return fallback ? res.redirect(fallback) : recoveryLinkPage(res, 500, 'We could not restore your cart.');
+  }
+}
+
+app.get('/recover/:token', followRecoveryLink);
+app.post('/recover/:token', followRecoveryLink);
+
+// ===================
+// EMAIL TRACKING (opens and clicks)
+// ===================
+// Every send gets a send_id (email_log.send_id). Tracked links in the email point at /t/c/:sendId/:link,
+// which redirects to the destination saved in email_links, and /t/o/:sendId.gif is the open pixel.
+// Image redirects carrying &send= count as opens too. Every hit lands in email_events; bots, link
+// scanners and prefetches are flagged there and don't count towards opened_at/clicked_at or the rates.
+
+// Email fields whose links go through the click redirect
+const TRACKED_LINK_FIELDS = ['browse_product_1_url', 'browse_product_2_url', 'cart_product_1_url', 'cart_product_2_url', 'cart_recovery_url'];
+
+// Crawlers, mail security gateways and HTTP libraries
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|scanner|preview|proofpoint|mimecast|barracuda|forcepoint|symantec|trendmicro|fireeye|safelinks|headless|phantom|python|curl|wget|go-http|java\/|okhttp|axios|node-fetch|libwww/i;
+const CLICK_PREFETCH_SECONDS = 10;   // Clicks this soon after the send are scanners
+const CLICK_BURST_SECONDS = 2;       // ...as are clicks on a second link within this window
+const OPEN_REPEAT_SECONDS = 60;      // Images and the pixel loading for one view count as one open
+
+const SEND_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// Gives a send its ID and swaps tracked links for redirects. Returns { sendId, fields, links }.
+function trackSend(fields) {
+  const sendId = crypto.randomUUID();
+  const tracked = { ...fields, send_id: sendId, tracking_pixel_url: `${APP_URL}/t/o/${sendId}.gif` };
+  const links = [];
+
+  for (const name of TRACKED_LINK_FIELDS) {
+    if (!fields[name]) continue;
+    links.push({ link: name, url: fields[name] });
+    tracked[name] = `${APP_URL}/t/c/${sendId}/${name}`;
+  }
+
+  return { sendId, fields: tracked, links };
+}
+
+// Saved before the send so a click can never beat its destination into the database
+async function saveTrackedLinks(tracking) {
+  for (const { link, url } of tracking.links) {
+    await pool.query(`
+      INSERT INTO email_links (send_id, link, url)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (send_id, link) DO NOTHING
+    `, [tracking.sendId, link, url]);
+  }
+}
+
+// What the request alone gives away (also used for /recover links)
+function requestBotReason(req) {
+  const userAgent = req.get('User-Agent') || '';
+
+  if (req.method === 'HEAD') return 'HEAD request';
+  if (!userAgent) return 'No user agent';
+  if (BOT_USER_AGENT.test(userAgent)) return 'Bot user agent';
+  if (/prefetch|prerender/i.test(req.get('Sec-Purpose') || req.get('Purpose') || req.get('X-Moz') || '')) return 'Prefetch';
+  return null;
+}
+
+// Returns why this hit looks automated, or null for a person
+async function botReason(req, eventType, source, send) {
+  const requestReason = requestBotReason(req);
+  if (requestReason) return requestReason;
+
+  if (eventType === 'click') {
+    if (Date.now() - new Date(send.sent_at).getTime() < CLICK_PREFETCH_SECONDS * 1000) return 'Clicked right after sending';
+
+    const burst = await pool.query(`
+      SELECT 1 FROM email_events
+      WHERE send_id = $1 AND event_type = 'click' AND source != $2
+        AND created_at > NOW() - $3 * INTERVAL '1 second'
+      LIMIT 1
+    `, [send.send_id, source, CLICK_BURST_SECONDS]);
+    if (burst.rows.length > 0) return 'Several links clicked at once';
+  }
+
+  return null;
+}
+
+// Records an open or click against its send. Unknown send IDs are ignored and errors are only
+// logged - tracking must never get in the way of the image or redirect.
+async function recordEmailEvent(req, sendId, eventType, source) {
+  try {
+    if (!SEND_ID_PATTERN.test(sendId || '')) return;
+
+    const result = await pool.query('SELECT send_id, sent_at FROM email_log WHERE send_id = $1', [sendId]);
+    const send = result.rows[0];
+    if (!send) return;
+
+    const reason = await botReason(req, eventType, source, send);
+
+    if (eventType === 'open' && !reason) {
+      const repeat = await pool.query(`
+        SELECT 1 FROM email_events
+        WHERE send_id = $1 AND event_type = 'open' AND is_bot = FALSE
+          AND created_at > NOW() - $2 * INTERVAL '1 second'
+        LIMIT 1
+      `, [sendId, OPEN_REPEAT_SECONDS]);
+      if (repeat.rows.length > 0) return;
+    }
+
+    await pool.query(`
+      INSERT INTO email_events (send_id, event_type, source, is_bot, bot_reason, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [sendId, eventType, source, Boolean(reason), reason, req.ip, (req.get('User-Agent') || '').slice(0, 500)]);
+
+    if (reason) return;
+
+    if (eventType === 'open') {
+      await pool.query(`
+        UPDATE email_log
+        SET opened_at = COALESCE(opened_at, NOW()), open_count = open_count + 1
+        WHERE send_id = $1
+      `, [sendId]);
+    } else {
+      // A click is also an open, even when the client blocked images
+      await pool.query(`
+        UPDATE email_log
+        SET clicked_at = COALESCE(clicked_at, NOW()), opened_at = COALESCE(opened_at, NOW()), click_count = click_count + 1
+        WHERE send_id = $1
+      `, [sendId]);
+    }
+  } catch (error) {
+    console.error('Error recording email event:', error);
+  }
+}
+
+app.get('/t/o/:sendId.gif', async (req, res) => {
+  await recordEmailEvent(req, req.params.sendId, 'open', 'pixel');
+  res.set('Content-Type', 'image/gif');
+  res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+  res.send(TRACKING_PIXEL);
+});
+
+app.get('/t/c/:sendId/:link', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT url FROM email_links WHERE send_id = $1 AND link = $2', [req.params.sendId, req.params.link]);
+    if (result.rows.length === 0) {
+      return res.status(404).send(appPage('Link not found', '<p>This link is not valid.</p>'));
+    }
+
+    await recordEmailEvent(req, req.params.sendId, 'click', req.params.link);
+    res.redirect(result.rows[0].url);
+  } catch (error) {
+    console.error('Error following tracked link:', error);
+    res.status(500).send(appPage('Link not found', '<p>Something went wrong. Please try again.</p>'));
+  }
+});
+
+// Links saved for sends the provider never accepted
+async function pruneUnsentEmailLinks() {
+  try {
+    const result = await pool.query(`
+      DELETE FROM email_links l
+      WHERE l.created_at < NOW() - INTERVAL '1 day'
+        AND NOT EXISTS (SELECT 1 FROM email_log el WHERE el.send_id = l.send_id)
+    `);
+    if (result.rowCount > 0) {
+      console.log(`Pruned ${result.rowCount} links from unsent emails`);
+    }
+  } catch (error) {
+    console.error('Error pruning email links:', error);
+  }
+}
+
+schedule('30 3 * * *', pruneUnsentEmailLinks);
+
+// ===================
+// SEND PREVIEW
+// ===================
+// Explains why one address would or wouldn't be picked by each processor right now, for one store.
+// Mirrors the selection queries above - keep them in sync.
+async function previewBrowse(store, email, settings) {
+  const storeHash = store.storeHash;
+  const reasons = [];
+
+  const eventStats = await pool.query(`
+    SELECT
+      COUNT(*)::int AS events,
+      COUNT(*) FILTER (WHERE email_sent = FALSE)::int AS unsent,
+      COUNT(*) FILTER (WHERE email_sent = FALSE AND viewed_at < NOW() - $2 * INTERVAL '1 hour')::int AS due,
+      COUNT(*) FILTER (
+        WHERE email_sent = FALSE
+          AND viewed_at < NOW() - $2 * INTERVAL '1 hour'
+          AND product_image IS NOT NULL
+          AND product_image != ''
+      )::int AS due_with_image
+    FROM browse_events
+    WHERE customer_email = $1 AND store_hash = $3
+  `, [email, settings.browse_delay_hours, storeHash]);
+  const stats = eventStats.rows[0];
+
+  if (stats.events === 0) {
+    reasons.push('No product views recorded for this email');
+  } else if (stats.unsent === 0) {
+    reasons.push('Browse email already sent for every recorded view');
+  } else if (stats.due === 0) {
+    reasons.push(`No unsent views older than ${settings.browse_delay_hours} hours`);
+  } else if (stats.due_with_image === 0) {
+    reasons.push('No unsent views with a product image');
+  }
+
+  // Same product choice as the processor (catalog stock check needs the store's token)
+  let products = [];
+  if (stats.due_with_image > 0) {
+    products = store.accessToken
+      ? await selectBrowseProducts(store, email, settings)
+      : (await getBrowseProducts(storeHash, email, settings)).slice(0, 2);
+    if (products.length === 0) {
+      reasons.push('Viewed products are hidden, out of stock or no longer in the catalog');
+    }
+  }
+
+  if (await isSuppressed(email)) {
+    reasons.push('Email is suppressed');
+  }
+
+  const activeCart = await pool.query(`
+    SELECT cart_id FROM abandoned_carts
+    WHERE customer_email = $1
+      AND store_hash = $3
+      AND converted = FALSE
+      AND updated_at > NOW() - $2 * INTERVAL '1 hour'
+    LIMIT 1
+  `, [email, settings.browse_cart_exclusion_hours, storeHash]);
+  if (activeCart.rows.length > 0) {
+    reasons.push(`Active cart ${activeCart.rows[0].cart_id} updated in the last ${settings.browse_cart_exclusion_hours} hours`);
+  }
+
+  if (!isAllowedInTestMode(email, settings)) {
+    reasons.push('Not on the test mode allowlist');
+  }
+
+  const preview = { eligible: reasons.length === 0, reasons: reasons, events: stats };
+  if (products.length > 0) {
+    preview.listName = settings.browse_list_name;
+    preview.fields = buildBrowseFields(products, store.storeHash, settings);
+  }
+  return preview;
+}
+
+async function previewCarts(storeHash, email, settings) {
+  const delays = settings.cart_email_delays;
+  const suppressed = await isSuppressed(email);
+
+  const result = await pool.query(`
+    SELECT ac.cart_id, ac.store_hash, ac.cart_data, ac.cart_total, ac.converted, ac.replaced_by, ac.updated_at,
+      ac.email_sent_1, ac.email_sent_2, ac.email_sent_3,
+      EXTRACT(EPOCH FROM NOW() - ac.updated_at) / 3600 AS idle_hours,
+      (
+        SELECT EXTRACT(EPOCH FROM NOW() - MAX(el.sent_at)) / 3600
+        FROM email_log el
+        WHERE el.cart_id = ac.cart_id AND el.email_type LIKE 'abandoned_cart_%'
+      ) AS hours_since_last_send
+    FROM abandoned_carts ac
+    WHERE ac.customer_email = $1 AND ac.store_hash = $2
+    ORDER BY ac.updated_at DESC
+    LIMIT 20
+  `, [email, storeHash]);
+
+  const previews = [];
+  for (const cart of result.rows) {
+    const reasons = [];
+    const step = [1, 2, 3].find(n => !cart[`email_sent_${n}`]) || null;
+    const idleHours = parseFloat(cart.idle_hours);
+
+    if (cart.converted) {
+      reasons.push('Cart converted');
+    }
+    if (cart.replaced_by) {
+      reasons.push(`Cart was recreated as ${cart.replaced_by} from a recovery link`);
+    }
+    if (!step) {
+      reasons.push('All three recovery emails already sent');
+    } else {
+      const delayHours = delays[step - 1];
+      if (idleHours <= delayHours) {
+        reasons.push(`Cart idle ${idleHours.toFixed(1)} hours, step ${step} waits ${delayHours}`);
+      }
+      if (step === 1 && idleHours >= settings.cart_recovery_max_age_days * 24) {
+        reasons.push(`Cart older than ${settings.cart_recovery_max_age_days} days, sequence never started`);
+      }
+      if (step > 1 && cart.hours_since_last_send !== null) {
+        const gapHours = delayHours - delays[step - 2];
+        const sinceLast = parseFloat(cart.hours_since_last_send);
+        if (sinceLast <= gapHours) {
+          reasons.push(`Previous recovery email sent ${sinceLast.toFixed(1)} hours ago, step ${step} needs ${gapHours}`);
+        }
+      }
+    }
+    if (suppressed) {
+      reasons.push('Email is suppressed');
+    }
+    if (!isAllowedInTestMode(email, settings)) {
+      reasons.push('Not on the test mode allowlist');
+    }
+
+    const items = getCartLineItems(cart.cart_data);
+    if (items.length === 0) {
+      reasons.push('Cart has no line items');
+    }
+
+    const preview = { cartId: cart.cart_id, nextStep: step, eligible: reasons.length === 0, reasons: reasons };
+    if (step && items.length > 0) {
+      preview.listName = settings.cart_list_names[step - 1];
+      preview.fields = {
+        ...buildCartFields(cart, step, items, await planRecoveryCoupon(cart, step, settings)),
+        cart_image_url: cartImageUrl(cart, settings),
+        cart_summary_image_url: cartSummaryUrl(cart, settings),
+        cart_recovery_url: recoveryUrl(cart, step, settings)
+      };
+    }
+    previews.push(preview);
+  }
+  return previews;
+}
+
+async function previewEmail(email, storeHash) {
+  const settings = await getSettings();
+  const store = await getStore(storeHash);
+  if (!store) {
+    throw badRequest(storeHash ? `Unknown store: ${storeHash}` : 'store is required');
+  }
+
+  const browse = await previewBrowse(store, email, settings);
+  const carts = await previewCarts(storeHash, email, settings);
+
+  for (const preview of [browse, ...carts]) {
+    if (preview.fields) {
+      Object.assign(preview.fields, storeFields(store));
+    }
+    // Nothing is sent for uninstalled stores
+    if (store.status !== 'active') {
+      preview.reasons.push(`Store ${storeHash} is ${store.status}`);
+      preview.eligible = false;
+    }
+  }
+
+  return {
+    email: email,
+    storeHash: storeHash,
+    testMode: settings.test_mode,
+    browse: browse,
+    carts: carts
+  };
+}
+
+// Run browse abandonment and cart recovery checks every 10 minutes
+schedule('*/10 * * * *', async () => {
+  await processBrowseAbandonment();
+  await processCartRecovery();
+});
+
+// ===================
+// WEBHOOK VERIFICATION
+// ===================
+
+// Constant-time string comparison for secrets and signatures
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Reject deliveries that don't carry our shared secret
+function verifyWebhook(req, res, next) {
+  if (!BC_WEBHOOK_SECRET) {
+    console.error(`Rejected webhook ${req.path}: BC_WEBHOOK_SECRET is not configured`);
+    return res.status(401).json({ received: false, error: 'Webhook secret not configured' });
+  }
+
+  if (!safeEqual(req.get('X-Webhook-Secret') || '', BC_WEBHOOK_SECRET)) {
+    console.error(`Rejected webhook ${req.path}: invalid secret from ${req.ip}`);
+    return res.status(401).json({ received: false, error: 'Invalid webhook secret' });
+  }
+
+  next();
+}
+
+// Acknowledge BigCommerce retries without processing them twice
+async function dedupeWebhook(req, res, next) {
+  const { hash, created_at: createdAt, scope } = req.body || {};
+
+  if (!hash || !createdAt) {
+    return next();
+  }
+
+  try {
+    const result = await pool.query(`
+      INSERT INTO webhook_deliveries (scope, hash, webhook_created_at)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (hash, webhook_created_at) DO NOTHING
+      RETURNING id
+    `, [scope, hash, createdAt]);
+
+    if (result.rows.length === 0) {
+      console.log(`Duplicate webhook ignored: ${scope} (${hash})`);
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+  } catch (error) {
+    // Better to risk a duplicate than drop the event
+    console.error('Error recording webhook delivery:', error);
+  }
+
+  next();
+}
+
+// Delivery records only need to outlive BigCommerce's retry window
+async function pruneWebhookDeliveries() {
+  try {
+    const result = await pool.query(`
+      DELETE FROM webhook_deliveries 
+      WHERE received_at < NOW() - INTERVAL '7 days'
+    `);
+    console.log(`Pruned ${result.rowCount} old webhook delivery records`);
+  } catch (error) {
+    console.error('Error pruning webhook deliveries:', error);
+  }
+}
+
+// Let a BigCommerce retry through if we failed to accept the original delivery
+async function releaseWebhookDelivery(body) {
+  const { hash, created_at: createdAt } = body || {};
+  if (!hash || !createdAt) return;
+
+  try {
+    await pool.query(`
+      DELETE FROM webhook_deliveries 
+      WHERE hash = $1 AND webhook_created_at = $2
+    `, [hash, createdAt]);
+  } catch (error) {
+    console.error('Error releasing webhook delivery:', error);
+  }
+}
+
+schedule('0 3 * * *', async () => {
+  await pruneWebhookDeliveries();
+  await pruneWebhookJobs();
+});
+
+// ===================
+// WEBHOOK JOB QUEUE
+// ===================
+const WEBHOOK_JOB_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_JOB_MAX_ATTEMPTS) || 8;
+const WEBHOOK_JOB_BASE_DELAY_SECONDS = 30;      // 30s, 1m, 2m, 4m... between attempts
+const WEBHOOK_JOB_MAX_DELAY_SECONDS = 6 * 3600;
+const WEBHOOK_JOB_LOCK_TIMEOUT_MINUTES = 10;    // Reclaim jobs from a worker that died mid-job
+
+async function enqueueWebhookJob(jobType, payload) {
+  const result = await pool.query(`
+    INSERT INTO webhook_jobs (job_type, payload)
+    VALUES ($1, $2)
+    RETURNING id
+  `, [jobType, JSON.stringify(payload)]);
+  return result.rows[0].id;
+}
+
+// Route handler that stores the delivery as a job and returns 200
+function queueWebhook(jobType) {
+  return async (req, res) => {
+    try {
+      const jobId = await enqueueWebhookJob(jobType, req.body);
+      console.log(`Webhook ${jobType} queued as job ${jobId}`);
+      res.status(200).json({ received: true, jobId: jobId });
+    } catch (error) {
+      console.error(`Error queueing ${jobType} webhook:`, error);
+      await releaseWebhookDelivery(req.body);
+      // Non-2xx makes BigCommerce retry the delivery
+      res.status(500).json({ received: false, error: error.message });
+    }
+  };
+}
+
+// Claim the next due job (or one abandoned by a crashed worker)
+async function claimWebhookJob() {
+  const result = await pool.query(`
+    UPDATE webhook_jobs 
+    SET status = 'processing', attempts = attempts + 1, locked_at = NOW(), updated_at = NOW()
+    WHERE id = (
+      SELECT id FROM webhook_jobs
+      WHERE (status = 'pending' AND run_at <= NOW())
+         OR (status = 'processing' AND locked_at < NOW() - $1 * INTERVAL '1 minute')
+      ORDER BY run_at
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [WEBHOOK_JOB_LOCK_TIMEOUT_MINUTES]);
+  return result.rows[0] || null;
+}
+
+function webhookJobRetryDelay(attempts) {
+  return Math.min(WEBHOOK_JOB_BASE_DELAY_SECONDS * Math.pow(2, attempts - 1), WEBHOOK_JOB_MAX_DELAY_SECONDS);
+}
+
+async function runWebhookJob(job) {
+  const handler = WEBHOOK_JOB_HANDLERS[job.job_type];
+
+  try {
+    if (!handler) {
+      throw new Error(`Unknown job type: ${job.job_type}`);
+    }
+
+    const note = await handler(job.payload);
+
+    await pool.query(`
+      UPDATE webhook_jobs 
+      SET status = 'completed', result = $2, last_error = NULL, locked_at = NULL, 
+          completed_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+    `, [job.id, note || null]);
+    console.log(`Job ${job.id} (${job.job_type}) completed${note ? ': ' + note : ''}`);
+  } catch (error) {
+    const dead = job.attempts >= WEBHOOK_JOB_MAX_ATTEMPTS;
+    const delaySeconds = webhookJobRetryDelay(job.attempts);
+
+    await pool.query(`
+      UPDATE webhook_jobs 
+      SET status = $2, last_error = $3, locked_at = NULL, 
+          run_at = NOW() + $4 * INTERVAL '1 second', updated_at = NOW()
+      WHERE id = $1
+    `, [job.id, dead ? 'dead' : 'pending', error.message, delaySeconds]);
+
+    if (dead) {
+      console.error(`Job ${job.id} (${job.job_type}) dead after ${job.attempts} attempts:`, error.message);
+    } else {
+      console.error(`Job ${job.id} (${job.job_type}) attempt ${job.attempts} failed, retrying in ${delaySeconds}s:`, error.message);
+    }
+  }
+}
+
+let webhookWorkerRunning = false;
+
+async function processWebhookJobs(limit = 50) {
+  if (webhookWorkerRunning) return;
+  webhookWorkerRunning = true;
+
+  try {
+    for (let i = 0; i < limit; i++) {
+      const job = await claimWebhookJob();
+      if (!job) break;
+      await runWebhookJob(job);
+    }
+  } catch (error) {
+    console.error('Error processing webhook jobs:', error);
+  } finally {
+    webhookWorkerRunning = false;
+  }
+}
+
+async function pruneWebhookJobs() {
+  try {
+    const result = await pool.query(`
+      DELETE FROM webhook_jobs 
+      WHERE status = 'completed' AND completed_at < NOW() - INTERVAL '30 days'
+    `);
+    console.log(`Pruned ${result.rowCount} completed webhook jobs`);
+  } catch (error) {
+    console.error('Error pruning webhook jobs:', error);
+  }
+}
+
+// Poll the queue every 15 seconds
+schedule('*/15 * * * * *', () => {
+  processWebhookJobs();
+});
+
+// ===================
+// WEBHOOK JOB HANDLERS
+// ===================
+// Handlers throw to trigger a retry; a returned string is stored as the job result.
+// Each payload names its store in "producer" (stores/{hash}).
+
+// Cart created/updated: fetch the full cart from BigCommerce and store it
+async function handleCartWebhook(payload) {
+  const cartId = payload.data?.id || payload.data?.cartId;
+  if (!cartId) {
+    return 'No cart ID';
+  }
+
+  const store = await getActiveStore(storeHashFromProducer(payload.producer));
+  if (!store) {
+    return `Store not installed: ${payload.producer || 'no producer'}`;
+  }
+
+  let cart;
+  try {
+    const data = await fetchFromBigCommerce(store, `/v3/carts/${cartId}?include=line_items.physical_items.options`);
+    cart = data.data;
+  } catch (error) {
+    // Cart already gone (checked out or expired) - nothing to retry
+    if (error.status === 404) {
+      return 'Cart not found';
+    }
+    throw error;
+  }
+
+  let customerEmail = cart.email;
+  if (!customerEmail && cart.customer_id) {
+    customerEmail = await getCustomerEmail(store, cart.customer_id);
+  }
+
+  const cartTotal = cart.cart_amount || 0;
+
+  await pool.query(`
+    INSERT INTO abandoned_carts (cart_id, customer_email, customer_id, cart_data, cart_total, store_hash, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+    ON CONFLICT (cart_id) 
+    DO UPDATE SET 
+      store_hash = EXCLUDED.store_hash,
+      customer_email = COALESCE(EXCLUDED.customer_email, abandoned_carts.customer_email),
+      customer_id = COALESCE(EXCLUDED.customer_id, abandoned_carts.customer_id),
+      cart_data = EXCLUDED.cart_data,
+      cart_total = EXCLUDED.cart_total,
+      updated_at = CURRENT_TIMESTAMP
+  `, [cartId, customerEmail, cart.customer_id, JSON.stringify(cart), cartTotal, store.storeHash]);
+
+  console.log(`Cart ${cartId} tracked for store ${store.storeHash}. Email: ${customerEmail || 'unknown'}`);
+}
+
+// Order created: mark cart as converted + update ESP subscriber fields
+async function handleOrderWebhook(payload) {
+  const orderId = payload.data?.id;
+  if (!orderId) {
+    return 'No order ID';
+  }
+
+  const store = await getActiveStore(storeHashFromProducer(payload.producer));
+  if (!store) {
+    return `Store not installed: ${payload.producer || 'no producer'}`;
+  }
+
+  const orderData = await fetchFromBigCommerce(store, `/v2/orders/${orderId}`);
+  const cartId = orderData.cart_id;
+  const customerEmail = orderData.billing_address?.email;
+
+  await recordOrder(store, orderId, orderData);
+  await redeemRecoveryCoupons(store, orderId, orderData);
+
+  if (cartId) {
+    await pool.query(`
+      UPDATE abandoned_carts 
+      SET converted = TRUE, updated_at = CURRENT_TIMESTAMP 
+      WHERE cart_id = $1 AND store_hash = $2
+    `, [cartId, store.storeHash]);
+    console.log(`Cart ${cartId} marked as converted (Order ${orderId})`);
+  }
+
+  // Update last purchase date for win-back automation
+  if (customerEmail && await isSuppressed(customerEmail)) {
+    console.log(`Suppressed: not updating ESP fields for ${customerEmail}`);
+  } else if (customerEmail) {
+    const today = new Date().toISOString().split('T')[0]; // Format: YYYY-MM-DD
+    const updated = await emailProvider.updateFields(customerEmail, {
+      last_purchase_date: today
+    });
+    if (!updated) {
+      throw new Error(`${emailProvider.name} update failed for ${customerEmail}`);
+    }
+    console.log(`Updated ${emailProvider.name} last_purchase_date for ${customerEmail}: ${today}`);
+  }
+}
+
+// Store the order and match it to the emails that preceded it
+async function recordOrder(store, orderId, orderData) {
+  const products = await fetchFromBigCommerce(store, `/v2/orders/${orderId}/products`);
+  const lineItems = (Array.isArray(products) ? products : []).map(item => ({
+    product_id: item.product_id,
+    name: item.name,
+    sku: item.sku,
+    quantity: item.quantity,
+    price: item.price_inc_tax,
+    total: item.total_inc_tax
+  }));
+
+  const email = orderData.billing_address?.email || null;
+  const orderedAt = orderData.date_created ? new Date(orderData.date_created) : new Date();
+
+  // Sends from this store to this email (or for this cart) inside the window before the order
+  const touches = await pool.query(`
+    SELECT id FROM email_log
+    WHERE store_hash = $5
+      AND (LOWER(recipient_email) = LOWER($1) OR (cart_id IS NOT NULL AND cart_id = $2))
+      AND sent_at <= $3
+      AND sent_at > $3::timestamp - $4 * INTERVAL '1 day'
+    ORDER BY sent_at
+  `, [email, orderData.cart_id || null, orderedAt, ATTRIBUTION_WINDOW_DAYS, store.storeHash]);
+
+  const firstTouch = touches.rows[0]?.id || null;
+  const lastTouch = touches.rows[touches.rows.length - 1]?.id || null;
+
+  await pool.query(`
+    INSERT INTO orders (order_id, cart_id, customer_email, total, currency, line_items, ordered_at, 
+                        first_touch_email_id, last_touch_email_id, attribution_window_days, store_hash)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    ON CONFLICT (store_hash, order_id) 
+    DO UPDATE SET 
+      total = EXCLUDED.total,
+      currency = EXCLUDED.currency,
+      line_items = EXCLUDED.line_items,
+      first_touch_email_id = EXCLUDED.first_touch_email_id,
+      last_touch_email_id = EXCLUDED.last_touch_email_id,
+      attribution_window_days = EXCLUDED.attribution_window_days,
+      updated_at = CURRENT_TIMESTAMP
+  `, [orderId, orderData.cart_id || null, email, orderData.total_inc_tax || 0, orderData.currency_code || null,
+      JSON.stringify(lineItems), orderedAt, firstTouch, lastTouch, ATTRIBUTION_WINDOW_DAYS, store.storeHash]);
+
+  if (lastTouch) {
+    console.log(`Order ${orderId} attributed to email ${lastTouch} (last touch), ${firstTouch} (first touch)`);
+  }
+}
+
+const WEBHOOK_JOB_HANDLERS = {
+  'cart-created': handleCartWebhook,
+  'cart-updated': handleCartWebhook,
+  'order-created': handleOrderWebhook
+};
+
+// ===================
+// WEBHOOK ENDPOINTS
+// ===================
+
+// Health check
+app.get('/', (req, res) => {
+  res.json({ 
+    status: 'ok', 
+    message: 'Peek-a-Boo Tracking App',
+    testMode: cachedSetting('test_mode'),
+    features: [
+      `Browse abandonment emails via ${emailProvider.name}`,
+      'Cart tracking for BigCommerce abandoned cart emails',
+      `Abandoned cart recovery sequence (3 emails) via ${emailProvider.name}`,
+      'Popup email capture syncs to BigCommerce carts'
+    ]
+  });
+});
+
+// BigCommerce webhooks are queued and acknowledged right away - the job worker does the work
+app.post('/webhooks/cart-created', verifyWebhook, dedupeWebhook, queueWebhook('cart-created'));
+app.post('/webhooks/cart-updated', verifyWebhook, dedupeWebhook, queueWebhook('cart-updated'));
+app.post('/webhooks/order-created', verifyWebhook, dedupeWebhook, queueWebhook('order-created'));
+
+// ===================
+// BIGCOMMERCE APP (single-click install)
+// ===================
+// Register these callback URLs in the BigCommerce Developer Portal:
+//   Auth:      {APP_URL}/bigcommerce/auth
+//   Load:      {APP_URL}/bigcommerce/load
+//   Uninstall: {APP_URL}/bigcommerce/uninstall
+const BC_WEBHOOK_SCOPES = {
+  'store/cart/created': '/webhooks/cart-created',
+  'store/cart/updated': '/webhooks/cart-updated',
+  'store/order/created': '/webhooks/order-created'
+};
+const TRACKER_SCRIPT_NAME = 'Peek-a-Boo tracker';
+
+// Verifies signed_payload_jwt from the load/uninstall callbacks. Returns { storeHash, user, owner } or null.
+function verifySignedPayload(jwt) {
+  if (!BC_CLIENT_ID || !BC_CLIENT_SECRET || !jwt) return null;
+
+  const [header, payload, signature] = String(jwt).split('.');
+  if (!signature) return null;
+
+  const expected = crypto.createHmac('sha256', BC_CLIENT_SECRET).update(`${header}.${payload}`).digest('base64url');
+  if (!safeEqual(signature, expected)) return null;
+
+  let claims;
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString('utf8')).alg !== 'HS256') return null;
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.aud !== BC_CLIENT_ID || (claims.exp && claims.exp < now)) return null;
+
+  const storeHash = storeHashFromProducer(claims.sub);
+  return storeHash ? { storeHash: storeHash, user: claims.user, owner: claims.owner } : null;
+}
+
+// Trades the install code for a permanent store access token
+async function exchangeAuthCode(query) {
+  const response = await fetch('https://login.bigcommerce.com/oauth2/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+    body: JSON.stringify({
+      client_id: BC_CLIENT_ID,
+      client_secret: BC_CLIENT_SECRET,
+      code: query.code,
+      scope: query.scope,
+      context: query.context,
+      grant_type: 'authorization_code',
+      redirect_uri: `${APP_URL}/bigcommerce/auth`
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`BigCommerce token exchange failed: ${response.status} ${await response.text()}`);
+  }
+  return response.json();
+}
+
+// Webhooks and the storefront tracker script. Safe to re-run - existing ones are kept.
+async function installStoreIntegrations(store) {
+  const status = { webhooks: [], tracker: false, errors: [] };
+
+  if (!BC_WEBHOOK_SECRET) {
+    status.errors.push('BC_WEBHOOK_SECRET is not set - webhooks not registered');
+  } else {
+    try {
+      const existing = await listFromBigCommerce(store, '/v3/hooks');
+      for (const [scope, route] of Object.entries(BC_WEBHOOK_SCOPES)) {
+        const destination = `${APP_URL}${route}`;
+        if (!existing.some(hook => hook.scope === scope && hook.destination === destination)) {
+          await fetchFromBigCommerce(store, '/v3/hooks', {
+            method: 'POST',
+            body: { scope: scope, destination: destination, is_active: true, headers: { 'X-Webhook-Secret': BC_WEBHOOK_SECRET } }
+          });
+        }
+        status.webhooks.push(scope);
+      }
+    } catch (error) {
+      console.error(`Error registering webhooks for store ${store.storeHash}:`, error.body || error.message);
+      status.errors.push(`Webhook registration failed: ${error.message}`);
+    }
+  }
+
+  try {
+    const script = {
+      name: TRACKER_SCRIPT_NAME,
+      description: 'Product view and add-to-cart tracking for abandonment emails',
+      src: `${APP_URL}/tracker.js?store=${store.storeHash}`,
+      auto_uninstall: true,
+      load_method: 'async',
+      location: 'footer',
+      visibility: 'all_pages',
+      kind: 'src',
+      consent_category: 'analytics'
+    };
+    const existing = await listFromBigCommerce(store, '/v3/content/scripts');
+    const current = existing.find(item => item.name === TRACKER_SCRIPT_NAME);
+    if (!current) {
+      await fetchFromBigCommerce(store, '/v3/content/scripts', { method: 'POST', body: script });
+    } else if (current.src !== script.src) {
+      await fetchFromBigCommerce(store, `/v3/content/scripts/${current.uuid}`, { method: 'PUT', body: script });
+    }
+    status.tracker = true;
+  } catch (error) {
+    console.error(`Error installing tracker script for store ${store.storeHash}:`, error.body || error.message);
+    status.errors.push(`Tracker script install failed: ${error.message}`);
+  }
+
+  return status;
+}
+
+function appPage(title, body) {
+  return `<!DOCTYPE html>
+<html><head><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>
+<body style="font-family:Arial,sans-serif;max-width:640px;margin:40px auto">
+  <h2>${escapeHtml(title)}</h2>
+  ${body}
+</body></html>`;
+}
+
+function storeStatusHtml(store, integrations) {
+  return `
+  <p>Store: <strong>${escapeHtml(store.name || store.storeHash)}</strong> (${escapeHtml(store.storeHash)})</p>
+  <p>Webhooks: ${integrations.webhooks.length > 0 ? escapeHtml(integrations.webhooks.join(', ')) : 'not registered'}</p>
+  <p>Storefront tracker: ${integrations.tracker ? 'installed' : 'not installed'}</p>
+  ${integrations.errors.map(error => `<p style="color:#c00">${escapeHtml(error)}</p>`).join('')}
+  <p><a href="${escapeHtml(APP_URL)}/admin" target="_blank" rel="noopener">Open the dashboard</a></p>`;
+}
+
+// Auth callback: the merchant approved the install (or a scope change)
+app.get('/bigcommerce/auth', async (req, res) => {
+  if (!BC_CLIENT_ID || !BC_CLIENT_SECRET || !TOKEN_ENCRYPTION_KEY) {
+    return res.status(503).send(appPage('Install failed', '<p>BC_CLIENT_ID, BC_CLIENT_SECRET and TOKEN_ENCRYPTION_KEY must be configured.</p>'));
+  }
+  if (!req.query.code || !req.query.context) {
+    return res.status(400).send(appPage('Install failed', '<p>Missing code or context.</p>'));
+  }
+
+  try {
+    const auth = await exchangeAuthCode(req.query);
+    const storeHash = storeHashFromProducer(auth.context);
+    if (!storeHash) {
+      throw new Error(`Unexpected store context: ${auth.context}`);
+    }
+    if (!BC_ALLOWED_STORES.includes(storeHash)) {
+      console.error(`Refused install for store ${storeHash}: not in BC_ALLOWED_STORES`);
+      return res.status(403).send(appPage('Install failed', `<p>Store ${escapeHtml(storeHash)} is not allowed to install this app. Add it to BC_ALLOWED_STORES.</p>`));
+    }
+
+    const store = { storeHash: storeHash, accessToken: auth.access_token };
+    const info = await fetchFromBigCommerce(store, '/v2/store').catch(() => ({}));
+
+    await pool.query(`
+      INSERT INTO stores (store_hash, name, store_url, access_token, scope, owner_email, source, status)
+      VALUES ($1, $2, $3, $4, $5, $6, 'oauth', 'active')
+      ON CONFLICT (store_hash) 
+      DO UPDATE SET 
+        name = COALESCE(EXCLUDED.name, stores.name),
+        store_url = COALESCE(EXCLUDED.store_url, stores.store_url),
+        access_token = EXCLUDED.access_token,
+        scope = EXCLUDED.scope,
+        owner_email = EXCLUDED.owner_email,
+        source = 'oauth',
+        status = 'active',
+        installed_at = CASE WHEN stores.status = 'active' THEN stores.installed_at ELSE CURRENT_TIMESTAMP END,
+        uninstalled_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    `, [storeHash, info.name || null, (info.secure_url || '').replace(/\/$/, '') || null,
+        encryptToken(auth.access_token), auth.scope, auth.user?.email || null]);
+    storeCache.delete(storeHash);
+
+    console.log(`Store ${storeHash} installed by ${auth.user?.email || 'unknown user'}`);
+
+    const integrations = await installStoreIntegrations(await getActiveStore(storeHash));
+    res.send(appPage('Peek-a-Boo installed', storeStatusHtml({ storeHash: storeHash, name: info.name }, integrations)));
+  } catch (error) {
+    console.error('Error installing BigCommerce app:', error);
+    res.status(500).send(appPage('Install failed', `<p>${escapeHtml(error.message)}</p>`));
+  }
+});
+
+// Load callback: the merchant opened the app in the control panel
+app.get('/bigcommerce/load', async (req, res) => {
+  const claims = verifySignedPayload(req.query.signed_payload_jwt);
+  if (!claims) {
+    return res.status(401).send(appPage('Peek-a-Boo', '<p>Invalid or expired request - open the app again from the control panel.</p>'));
+  }
+
+  try {
+    const store = await getActiveStore(claims.storeHash);
+    if (!store) {
+      return res.status(404).send(appPage('Peek-a-Boo', '<p>This store is not installed - reinstall the app.</p>'));
+    }
+
+    const integrations = await installStoreIntegrations(store);
+    res.send(appPage('Peek-a-Boo', storeStatusHtml(store, integrations)));
+  } catch (error) {
+    console.error('Error loading BigCommerce app:', error);
+    res.status(500).send(appPage('Peek-a-Boo', `<p>${escapeHtml(error.message)}</p>`));
+  }
+});
+
+// Uninstall callback: forget the token, keep the store's data
+app.get('/bigcommerce/uninstall', async (req, res) => {
+  const claims = verifySignedPayload(req.query.signed_payload_jwt);
+  if (!claims) {
+    return res.status(401).json({ error: 'Invalid signed payload' });
+  }
+
+  try {
+    await pool.query(`
+      UPDATE stores 
+      SET status = 'uninstalled', access_token = NULL, uninstalled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
+      WHERE store_hash = $1
+    `, [claims.storeHash]);
+    storeCache.delete(claims.storeHash);
+    trackerScripts.delete(claims.storeHash);
+
+    console.log(`Store ${claims.storeHash} uninstalled by ${claims.user?.email || 'unknown user'}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error uninstalling BigCommerce app:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===================
+// IDENTITY STITCHING
+// ===================
+// Once a session's email is known, earlier anonymous views in that session get the email,
+// and later anonymous views are attributed through session_contacts. Sessions belong to a store,
+// and the first email a session is bound to sticks: a different one is ignored rather than taking
+// over the session's history. Suppressed addresses are never bound.
+
+// Lowercased address, or null if it doesn't look like one
+function contactEmail(value) {
+  const email = normalizeEmail(value);
+  return email.length <= 255 && /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email) ? email : null;
+}
+
+async function identifySession(store, sessionId, email, source) {
+  const normalized = contactEmail(email);
+  if (typeof sessionId !== 'string' || !sessionId || sessionId.length > 255 || !normalized) return;
+
+  try {
+    if (await isSuppressed(normalized)) return;
+
+    const bound = await pool.query(`
+      INSERT INTO session_contacts (store_hash, session_id, email, source)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (store_hash, session_id) 
+      DO UPDATE SET source = EXCLUDED.source, last_seen_at = CURRENT_TIMESTAMP
+      WHERE session_contacts.email = EXCLUDED.email
+      RETURNING email
+    `, [store.storeHash, sessionId, normalized, source]);
+
+    if (bound.rows.length === 0) {
+      console.log(`Session ${sessionId} is already identified as another email, ignoring ${normalized} (${source})`);
+      return;
+    }
+
+    const backfilled = await pool.query(`
+      UPDATE browse_events 
+      SET customer_email = $2 
+      WHERE session_id = $1 
+        AND store_hash = $3
+        AND (customer_email IS NULL OR customer_email = '')
+    `, [sessionId, normalized, store.storeHash]);
+
+    if (backfilled.rowCount > 0) {
+      console.log(`Identified session ${sessionId} as ${normalized} (${source}), backfilled ${backfilled.rowCount} browse events`);
+    }
+  } catch (error) {
+    console.error('Error identifying session:', error);
+  }
+}
+
+// ===================
+// STOREFRONT TRACKER SCRIPT
+// ===================
+// Bump TRACKER_VERSION whenever public/tracker.js changes. The storefront only references /tracker.js?store=,
+// so a new version reaches shoppers within TRACKER_CACHE_SECONDS without touching BigCommerce.
+const TRACKER_VERSION = '1.3.1';
+const TRACKER_CACHE_SECONDS = 300;
+const TRACKER_MAX_BATCH = 20;
+
+// Cornerstone theme defaults; override per store with TRACKER_CONFIG='{"selectors":{...}}'
+const TRACKER_DEFAULT_CONFIG = {
+  batchSize: 5,
+  flushIntervalMs: 2000,
+  cartLookupAttempts: 3,
+  cartLookupDelayMs: 1500,
+  sessionKey: 'browse_session',
+  emailKey: 'customer_email',
+  selectors: {
+    productId: '[data-product-id]',
+    productIdAttribute: 'data-product-id',
+    productName: 'h1.productView-title',
+    productImage: '.productView-image img',
+    productPrice: '.productView-price [data-product-price-without-tax]',
+    addToCartForm: 'form[data-cart-item-add]'
+  }
+};
+
+function getTrackerConfig(storeHash) {
+  let overrides = {};
+  if (process.env.TRACKER_CONFIG) {
+    try {
+      overrides = JSON.parse(process.env.TRACKER_CONFIG);
+    } catch (error) {
+      console.error('Invalid TRACKER_CONFIG JSON, using defaults:', error.message);
+    }
+  }
+
+  return {
+    ...TRACKER_DEFAULT_CONFIG,
+    ...overrides,
+    selectors: { ...TRACKER_DEFAULT_CONFIG.selectors, ...overrides.selectors },
+    batchSize: Math.min(overrides.batchSize || TRACKER_DEFAULT_CONFIG.batchSize, TRACKER_MAX_BATCH),
+    version: TRACKER_VERSION,
+    endpoint: APP_URL,
+    storeHash: storeHash || null
+  };
+}
+
+const trackerSource = fs.readFileSync(path.join(__dirname, 'public', 'tracker.js'), 'utf8');
+// Placeholder for the config argument in public/tracker.js - it must appear only at the call site
+const TRACKER_CONFIG_TOKEN = '__TRACKER_CONFIG__';
+const trackerScripts = new Map();
+
+// Built once per store - the script only changes with a deploy
+function buildTrackerScript(storeHash) {
+  if (trackerScripts.has(storeHash)) {
+    return trackerScripts.get(storeHash);
+  }
+
+  const config = JSON.stringify(getTrackerConfig(storeHash)).replace(/</g, '\\u003c');
+  // A function replacer so "$&" or "$'" in the config isn't read as a replacement pattern
+  const script = trackerSource.replace(TRACKER_CONFIG_TOKEN, () => config);
+  const built = {
+    script: script,
+    etag: `"${TRACKER_VERSION}-${crypto.createHash('sha1').update(script).digest('hex').slice(0, 12)}"`
+  };
+  trackerScripts.set(storeHash, built);
+  return built;
+}
+
+// ?store={hash}; without it (or for an unknown store) the script reports to BC_STORE_HASH
+app.get('/tracker.js', async (req, res) => {
+  let storeHash = BC_STORE_HASH || null;
+  if (STORE_HASH_PATTERN.test(req.query.store || '')) {
+    try {
+      if (await getStore(req.query.store)) storeHash = req.query.store;
+    } catch (error) {
+      console.error('Error looking up tracker store:', error.message);
+    }
+  }
+  const tracker = buildTrackerScript(storeHash);
+
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Cache-Control', `public, max-age=${TRACKER_CACHE_SECONDS}`);
+  res.header('ETag', tracker.etag);
+  res.header('X-Tracker-Version', TRACKER_VERSION);
+
+  if (req.get('If-None-Match') === tracker.etag) {
+    return res.status(304).end();
+  }
+
+  res.type('application/javascript').send(tracker.script);
+});
+
+// sendBeacon posts JSON as text/plain (no CORS preflight) - parse it like express.json would
+const parseBeaconBody = [
+  express.text({ type: 'text/plain', limit: '100kb' }),
+  (req, res, next) => {
+    if (typeof req.body === 'string') {
+      try {
+        req.body = JSON.parse(req.body || '{}');
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid JSON' });
+      }
+    }
+    next();
+  }
+];
+
+// ===================
+// ADD TO CART TRACKING (syncs popup email to BigCommerce cart)
+// ===================
+// BigCommerce cart IDs are UUIDs. Anything else is refused before it goes near an API path.
+const CART_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// The tracker sends the shopper's own cart ID (from the Storefront API). Returns a refusal
+// reason, or null if it's safe to put this email on the cart.
+async function checkCartLink(store, cartId, email, productId) {
+  const cart = await getCartDetails(store, cartId);
+  if (!cart) {
+    return 'Cart not found';
+  }
+
+  // Logged-in customer carts already have the account email
+  if (cart.customer_id) {
+    return 'Cart belongs to a customer account';
+  }
+
+  if (cart.email && normalizeEmail(cart.email) !== normalizeEmail(email)) {
+    return 'Cart already has a different email';
+  }
+
+  // The product just added must be in this cart
+  if (productId && !getCartLineItems(cart).some(item => String(item.product_id) === String(productId))) {
+    return 'Product not in cart';
+  }
+
+  const stored = await pool.query('SELECT customer_email FROM abandoned_carts WHERE cart_id = $1', [cartId]);
+  const storedEmail = stored.rows[0]?.customer_email;
+  if (storedEmail && normalizeEmail(storedEmail) !== normalizeEmail(email)) {
+    return 'Cart already linked to a different email';
+  }
+
+  return null;
+}
+
+async function logCartLink(req, store, cartId, email, outcome, reason) {
+  try {
+    await pool.query(`
+      INSERT INTO cart_link_audit (cart_id, email, session_id, outcome, reason, ip_address, user_agent, store_hash)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [cartId || null, email || null, req.body.sessionId || null, outcome, reason || null, req.ip, (req.get('User-Agent') || '').slice(0, 500), store?.storeHash || null]);
+  } catch (error) {
+    console.error('Error writing cart link audit:', error);
+  }
+}
+
+app.post('/track/add-to-cart', parseBeaconBody, async (req, res) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  
+  try {
+    const { email, cartId, productId } = req.body;
+    
+    if (!email) {
+      return res.status(200).json({ success: false, error: 'No email provided' });
+    }
+    if (!contactEmail(email)) {
+      return res.status(400).json({ success: false, error: 'Invalid email' });
+    }
+
+    const store = await resolveRequestStore(req);
+    if (!store) {
+      await logCartLink(req, null, CART_ID_PATTERN.test(cartId || '') ? cartId : null, email, 'refused', 'Unknown store');
+      return res.status(200).json({ success: false, error: 'Unknown store' });
+    }
+
+    // No guessing - without the shopper's own cart ID we can't know which cart is theirs
+    if (!cartId) {
+      await logCartLink(req, store, null, email, 'refused', 'No cart ID');
+      return res.status(200).json({ success: false, error: 'Cart ID required' });
+    }
+    if (typeof cartId !== 'string' || !CART_ID_PATTERN.test(cartId)) {
+      await logCartLink(req, store, null, email, 'refused', 'Invalid cart ID');
+      return res.status(400).json({ success: false, error: 'Invalid cart ID' });
+    }
+
+    console.log(`Add-to-cart detected for email: ${email} (store ${store.storeHash}, cart ${cartId})`);
+
+    const refusal = await checkCartLink(store, cartId, email, productId);
+    if (refusal) {
+      console.log(`Refused to link ${email} to cart ${cartId}: ${refusal}`);
+      await logCartLink(req, store, cartId, email, 'refused', refusal);
+      return res.status(200).json({ success: false, error: refusal });
+    }
+
+    // Update the BigCommerce cart with this email
+    const updated = await updateCartEmail(store, cartId, email);
+    
+    if (updated) {
+      // Also update our database
+      await pool.query(`
+        UPDATE abandoned_carts 
+        SET customer_email = $1, updated_at = CURRENT_TIMESTAMP 
+        WHERE cart_id = $2 AND store_hash = $3
+      `, [email, cartId, store.storeHash]);
+      
+      await logCartLink(req, store, cartId, email, 'linked');
+      await identifySession(store, req.body.sessionId, email, 'add_to_cart');
+      console.log(`Successfully linked email ${email} to cart ${cartId}`);
+      return res.status(200).json({ success: true, cartId: cartId });
+    } else {
+      await logCartLink(req, store, cartId, email, 'failed', 'BigCommerce cart update failed');
+      return res.status(200).json({ success: false, error: 'Failed to update BigCommerce cart' });
+    }
+  } catch (error) {
+    console.error('Error in add-to-cart tracking:', error);
+    res.status(200).json({ success: false, error: error.message });
+  }
+});
+
+app.options('/track/add-to-cart', (req, res) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.status(200).end();
+});
+
+// Catalog product IDs are positive integers; anything else from the tracker is dropped
+function parseProductId(value) {
+  const id = parseInt(value);
+  return Number.isInteger(id) && id > 0 && String(id) === String(value).trim() ? id : null;
+}
+
+// Views are stored with what the tracker scraped, and this job swaps in the catalog's name, URL,
+// image and price afterwards, so the beacon never waits on BigCommerce. Most-viewed products go
+// first, which keeps made-up IDs from crowding out real ones; a product whose lookup fails stays
+// pending for the next run.
+const BROWSE_ENRICH_BATCH = 50;   // Products per run
+
+async function enrichBrowseEvents() {
+  try {
+    const pending = await pool.query(`
+      SELECT store_hash, product_id
+      FROM browse_events
+      WHERE enriched_at IS NULL
+      GROUP BY store_hash, product_id
+      ORDER BY COUNT(*) DESC
+      LIMIT $1
+    `, [BROWSE_ENRICH_BATCH]);
+
+    for (const row of pending.rows) {
+      const store = await getActiveStore(row.store_hash);
+      let product = null;
+      if (store) {
+        try {
+          product = await getProduct(store, row.product_id);
+        } catch (error) {
+          console.error(`Error enriching product ${row.product_id} for store ${row.store_hash}:`, error.message);
+          continue;
+        }
+      }
+
+      // Not in the catalog (or the store is gone): keep what the tracker scraped
+      await pool.query(`
+        UPDATE browse_events
+        SET product_name = COALESCE($3, product_name),
+            product_url = COALESCE($4, product_url),
+            product_image = COALESCE($5, product_image),
+            product_price = COALESCE($6, product_price),
+            enriched_at = CURRENT_TIMESTAMP
+        WHERE store_hash = $1 AND product_id = $2 AND enriched_at IS NULL
+      `, [row.store_hash, row.product_id, product?.name || null, httpUrl(product?.url),
+          httpUrl(product?.image_url), product ? catalogPrice(product) : null]);
+    }
+  } catch (error) {
+    console.error('Error enriching browse events:', error);
+  }
+}
+
+schedule('* * * * *', enrichBrowseEvents);
+
+// Browse event endpoint - accepts one event, or { events: [...] } batches from tracker.js
+app.post('/track/product-view', parseBeaconBody, async (req, res) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const events = (Array.isArray(req.body.events) ? req.body.events : [req.body])
+      .slice(0, TRACKER_MAX_BATCH)
+      .filter(event => event && parseProductId(event.productId));
+
+    if (events.length === 0) {
+      return res.status(400).json({ error: 'Numeric product ID required' });
+    }
+
+    const store = await resolveRequestStore(req);
+    if (!store) {
+      return res.status(200).json({ tracked: false, error: 'Unknown store' });
+    }
+
+    for (const event of events) {
+      const { sessionId } = event;
+      const email = contactEmail(event.email);
+      const productId = parseProductId(event.productId);
+
+      if (email) {
+        await identifySession(store, sessionId, email, 'product_view');
+      }
+
+      // What the tracker scraped is a placeholder until enrichBrowseEvents fills in the catalog's details
+      const productName = event.productName;
+      const productUrl = httpUrl(event.productUrl);
+      const productImage = httpUrl(event.productImage);
+      const productPrice = event.productPrice;
+
+      // Anonymous views from an identified session get that session's email
+      const inserted = await pool.query(`
+        INSERT INTO browse_events (session_id, customer_email, product_id, product_name, product_url, product_image, product_price, store_hash)
+        VALUES ($1, COALESCE(NULLIF($2, ''), (SELECT email FROM session_contacts WHERE session_id = $1 AND store_hash = $8)), $3, $4, $5, $6, $7, $8)
+        RETURNING customer_email
+      `, [sessionId, email, productId, productName, productUrl, productImage, productPrice || 0, store.storeHash]);
+
+      console.log(`Product view tracked: ${productId} - ${productName} (${inserted.rows[0].customer_email || 'anonymous'})`);
+    }
+
+    res.status(200).json({ tracked: true, count: events.length });
+  } catch (error) {
+    console.error('Error tracking product view:', error);
+    res.status(200).json({ tracked: false, error: error.message });
+  }
+});
+
+app.options('/track/product-view', (req, res) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.status(200).end();
+});
+
+// Popup signup endpoint
+app.post('/popup/signup', async (req, res) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type');
+
+  try {
+    const { email, sessionId } = req.body;
+    
+    if (!contactEmail(email)) {
+      return res.status(400).json({ success: false, error: 'Valid email required' });
+    }
+
+    if (await isSuppressed(email)) {
+      console.log(`Popup signup from suppressed address ignored: ${email}`);
+      return res.status(200).json({ success: false, error: 'Email has unsubscribed' });
+    }
+
+    const store = await resolveRequestStore(req);
+    if (store) {
+      await identifySession(store, sessionId, email, 'popup_signup');
+    }
+
+    const settings = await getSettings();
+    const success = await emailProvider.addToList(email, settings.popup_list_name, {});
+    
+    if (success) {
+      console.log(`Popup signup: ${email}`);
+      res.status(200).json({ success: true });
+    } else {
+      res.status(200).json({ success: false, error: 'Could not add to list' });
+    }
+  } catch (error) {
+    console.error('Error processing popup signup:', error);
+    res.status(200).json({ success: false, error: error.message });
+  }
+});
+
+app.options('/popup/signup', (req, res) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.status(200).end();
+});
+
+// ===================
+// AUTHENTICATION
+// ===================
+// /api and /admin need an API key (Authorization: Bearer <key> or X-API-Key) or an admin
+// session cookie. "read" keys can GET; "operator" keys can also trigger sends and change data.
+// Tracking, webhook, image and unsubscribe routes are public and live outside these prefixes.
+// Keys are managed from the command line: keys:create, keys:list, keys:revoke.
+const ROLE_LEVELS = { read: 1, operator: 2 };
+const SESSION_COOKIE = 'admin_session';
+const SESSION_HOURS = 12;
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+async function createApiKey(name, role) {
+  if (!ROLE_LEVELS[role]) {
+    throw new Error(`Invalid role "${role}" - expected one of: ${Object.keys(ROLE_LEVELS).join(', ')}`);
+  }
+
+  const key = `cak_${crypto.randomBytes(24).toString('base64url')}`;
+  const result = await pool.query(`
+    INSERT INTO api_keys (name, key_prefix, key_hash, role)
+    VALUES ($1, $2, $3, $4)
+    RETURNING id
+  `, [name, key.slice(0, 12), hashApiKey(key), role]);
+
+  return { id: result.rows[0].id, key: key };
+}
+
+async function findApiKey(key) {
+  const result = await pool.query(`
+    UPDATE api_keys 
+    SET last_used_at = CURRENT_TIMESTAMP 
+    WHERE key_hash = $1 AND revoked_at IS NULL
+    RETURNING id, name, role
+  `, [hashApiKey(key)]);
+  return result.rows[0] || null;
+}
+
+// Session cookie: "<keyId>.<expiresAt>.<signature>" - still checked against the key so revoking it ends the session
+function signSession(keyId, expiresAt) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(`${keyId}.${expiresAt}`).digest('base64url');
+}
+
+function createSession(keyId) {
+  const expiresAt = Date.now() + SESSION_HOURS * 3600 * 1000;
+  return `${keyId}.${expiresAt}.${signSession(keyId, expiresAt)}`;
+}
+
+async function verifySession(token) {
+  if (!SESSION_SECRET) return null;
+
+  const [keyId, expiresAt, signature] = String(token).split('.');
+  if (!keyId || !expiresAt || !signature) return null;
+  if (parseInt(expiresAt) < Date.now()) return null;
+  if (!safeEqual(signature, signSession(keyId, expiresAt))) return null;
+
+  const result = await pool.query(`
+    SELECT id, name, role FROM api_keys 
+    WHERE id = $1 AND revoked_at IS NULL
+  `, [parseInt(keyId)]);
+  return result.rows[0] || null;
+}
+
+function parseCookies(req) {
+  const cookies = {};
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return cookies;
+}
+
+async function authenticate(req) {
+  const authorization = req.get('Authorization') || '';
+  const key = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : req.get('X-API-Key');
+  if (key) {
+    return findApiKey(key);
+  }
+
+  const session = parseCookies(req)[SESSION_COOKIE];
+  return session ? verifySession(session) : null;
+}
+
+function requireAuth(req, res, next) {
+  const neededRole = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'operator';
+  const isAdminPage = req.baseUrl === '/admin';
+
+  // Signing in and out needs no role
+  if (isAdminPage && (req.path === '/login' || req.path === '/logout')) {
+    return next();
+  }
+
+  authenticate(req).then(principal => {
+    if (!principal) {
+      if (isAdminPage && req.method === 'GET') {
+        return res.redirect(`/admin/login?next=${encodeURIComponent(req.originalUrl)}`);
+      }
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (ROLE_LEVELS[principal.role] < ROLE_LEVELS[neededRole]) {
+      return res.status(403).json({ error: `Requires ${neededRole} role` });
+    }
+
+    req.principal = principal;
+    next();
+  }).catch(error => {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  });
+}
+
+app.use('/api', requireAuth);
+app.use('/admin', requireAuth);
+
+function loginPage(message, next) {
+  return `<!DOCTYPE html>
+<html><head><meta name="viewport" content="width=device-width, initial-scale=1"><title>Admin login</title></head>
+<body style="font-family:Arial,sans-serif;max-width:360px;margin:80px auto">
+  <h2>Peek-a-Boo Admin</h2>
+  ${message ? `<p style="color:#c00">${escapeHtml(message)}</p>` : ''}
+  <form method="POST" action="/admin/login">
+    <input type="hidden" name="next" value="${escapeHtml(next || '/admin')}">
+    <p><input type="password" name="key" placeholder="API key" style="width:100%;padding:8px" autofocus></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body></html>`;
+}
+
+app.get('/admin/login', (req, res) => {
+  res.send(loginPage(SESSION_SECRET ? null : 'SESSION_SECRET is not configured - browser sign-in is disabled.', req.query.next));
+});
+
+app.post('/admin/login', express.urlencoded({ extended: false }), async (req, res) => {
+  // Only redirect back into the admin UI
+  const next = String(req.body.next || '').startsWith('/admin') ? req.body.next : '/admin';
+
+  if (!SESSION_SECRET) {
+    return res.status(503).send(loginPage('SESSION_SECRET is not configured - browser sign-in is disabled.', next));
+  }
+
+  try {
+    const principal = req.body.key ? await findApiKey(req.body.key.trim()) : null;
+    if (!principal) {
+      console.log(`Failed admin login from ${req.ip}`);
+      return res.status(401).send(loginPage('Invalid API key', next));
+    }
+
+    const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+    res.header('Set-Cookie', `${SESSION_COOKIE}=${encodeURIComponent(createSession(principal.id))}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${SESSION_HOURS * 3600}${secure}`);
+    console.log(`Admin login: ${principal.name} (${principal.role})`);
+    res.redirect(next);
+  } catch (error) {
+    console.error('Error during admin login:', error);
+    res.status(500).send(loginPage('Sign-in failed', next));
+  }
+});
+
+app.post('/admin/logout', (req, res) => {
+  res.header('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+  res.redirect('/admin/login');
+});
+
+// ===================
+// LISTING HELPERS (filtering + cursor pagination)
+// ===================
+// Lists are newest first. The cursor is the (timestamp, id) of the last row returned, so pages stay
+// stable while new rows arrive. The timestamp travels as Postgres text to keep microseconds. Bad query parameters throw errors with status 400.
+const LIST_DEFAULT_LIMIT = 100;
+const LIST_MAX_LIMIT = 500;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function parseDateParam(value, name) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date)) throw badRequest(`Invalid ${name} date`);
+  return date;
+}
+
+function parseNumberParam(value, name) {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw badRequest(`Invalid ${name}`);
+  return number;
+}
+
+// Page size: a positive whole number, capped at LIST_MAX_LIMIT
+function parseLimitParam(value) {
+  if (value === undefined || value === '') return LIST_DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) throw badRequest('limit must be a positive integer');
+  return Math.min(limit, LIST_MAX_LIMIT);
+}
+
+function parseBooleanParam(value, name) {
+  if (value === undefined || value === '') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  throw badRequest(`${name} must be true or false`);
+}
+
+function encodeCursor(timestamp, id) {
+  return Buffer.from(JSON.stringify([timestamp, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [timestamp, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof timestamp !== 'string' || isNaN(new Date(timestamp)) || !Number.isInteger(id)) throw new Error();
+    return { timestamp, id };
+  } catch (error) {
+    throw badRequest('Invalid cursor');
+  }
+}
+
+// ILIKE pattern for a substring search; \, % and _ in the text match themselves (use with ESCAPE '\')
+function likePattern(value) {
+  return `%${String(value).replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+// WHERE clauses with "?" placeholders, numbered into $1, $2... in order
+function createFilter() {
+  const clauses = [];
+  const params = [];
+
+  return {
+    params,
+    add(sql, ...values) {
+      let text = sql;
+      for (const value of values) {
+        params.push(value);
+        text = text.replace('?', `$${params.length}`);
+      }
+      clauses.push(text);
+    },
+    where() {
+      return clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    }
+  };
+}
+
+// Runs a filtered, cursor-paginated listing and its total count. Every listing takes ?store=
+async function listRows(req, { table, timeColumn, applyFilters }) {
+  const limit = parseLimitParam(req.query.limit);
+
+  const filter = createFilter();
+  const from = parseDateParam(req.query.from, 'from');
+  const to = parseDateParam(req.query.to, 'to');
+  if (from) filter.add(`${timeColumn} >= ?`, from);
+  if (to) filter.add(`${timeColumn} < ?`, to);
+  if (req.query.store) filter.add('store_hash = ?', req.query.store);
+  applyFilters(filter, req.query);
+
+  const count = await pool.query(`SELECT COUNT(*) as total FROM ${table} ${filter.where()}`, filter.params);
+
+  if (req.query.cursor) {
+    const cursor = decodeCursor(req.query.cursor);
+    filter.add(`(${timeColumn}, id) < (?::timestamp, ?)`, cursor.timestamp, cursor.id);
+  }
+
+  const result = await pool.query(`
+    SELECT *, ${timeColumn}::text as cursor_position FROM ${table} 
+    ${filter.where()}
+    ORDER BY ${timeColumn} DESC, id DESC 
+    LIMIT ${limit + 1}
+  `, filter.params);
+
+  const data = result.rows.slice(0, limit);
+  const last = data[data.length - 1];
+  const nextCursor = result.rows.length > limit ? encodeCursor(last.cursor_position, last.id) : null;
+  data.forEach(row => delete row.cursor_position);
+
+  return {
+    data: data,
+    total: parseInt(count.rows[0].total),
+    limit: limit,
+    nextCursor: nextCursor
+  };
+}
+
+// ===================
+// API ENDPOINTS
+// ===================
+
+// ?from&to (updated_at) &email &minTotal&maxTotal &converted=true|false|all (default false)
+// &emailSent=true|false &emailStep=1|2|3 &productId &cursor&limit
+app.get('/api/abandoned-carts', async (req, res) => {
+  try {
+    res.json(await listRows(req, {
+      table: 'abandoned_carts',
+      timeColumn: 'updated_at',
+      applyFilters(filter, query) {
+        const converted = query.converted === 'all' ? null : parseBooleanParam(query.converted || 'false', 'converted');
+        const minTotal = parseNumberParam(query.minTotal, 'minTotal');
+        const maxTotal = parseNumberParam(query.maxTotal, 'maxTotal');
+        const emailSent = parseBooleanParam(query.emailSent, 'emailSent');
+        const emailStep = parseNumberParam(query.emailStep, 'emailStep');
+        const productId = parseNumberParam(query.productId, 'productId');
 
-    // Find the most recent cart without an email (created in last 30 min)
-    const cartId = await getRecentCartWithoutEmail();
-    
-    if (!cartId) {
-      console.log('No recent cart without email found');
-      return res.status(200).json({ success: false, error: 'No recent cart to update' });
+        if (converted !== null) filter.add('converted = ?', converted);
+        if (query.email) filter.add(`customer_email ILIKE ? ESCAPE '\\'`, likePattern(query.email));
+        if (minTotal !== null) filter.add('cart_total >= ?', minTotal);
+        if (maxTotal !== null) filter.add('cart_total <= ?', maxTotal);
+        if (emailSent === true) filter.add('(email_sent_1 OR email_sent_2 OR email_sent_3)');
+        if (emailSent === false) filter.add('NOT (email_sent_1 OR email_sent_2 OR email_sent_3)');
+        if (emailStep !== null) {
+          if (![1, 2, 3].includes(emailStep)) throw badRequest('emailStep must be 1, 2 or 3');
+          filter.add(`email_sent_${emailStep} = TRUE`);
+        }
+        if (productId !== null) {
+          const match = JSON.stringify([{ product_id: productId }]);
+          filter.add(`(cart_data->'line_items'->'physical_items' @> ?::jsonb OR cart_data->'line_items'->'digital_items' @> ?::jsonb)`, match, match);
+        }
+      }
+    }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ?from&to (viewed_at) &email &sessionId &productId &emailSent=true|false &cursor&limit
+app.get('/api/browse-events', async (req, res) => {
+  try {
+    res.json(await listRows(req, {
+      table: 'browse_events',
+      timeColumn: 'viewed_at',
+      applyFilters(filter, query) {
+        const emailSent = parseBooleanParam(query.emailSent, 'emailSent');
+        const productId = parseNumberParam(query.productId, 'productId');
+
+        if (query.email) filter.add(`customer_email ILIKE ? ESCAPE '\\'`, likePattern(query.email));
+        if (query.sessionId) filter.add('session_id = ?', query.sessionId);
+        if (productId !== null) filter.add('product_id = ?', productId);
+        if (emailSent !== null) filter.add('email_sent = ?', emailSent);
+      }
+    }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ?from&to (sent_at) &email &type &cartId &productId &cursor&limit
+app.get('/api/email-log', async (req, res) => {
+  try {
+    res.json(await listRows(req, {
+      table: 'email_log',
+      timeColumn: 'sent_at',
+      applyFilters(filter, query) {
+        const productId = parseNumberParam(query.productId, 'productId');
+
+        if (query.email) filter.add(`recipient_email ILIKE ? ESCAPE '\\'`, likePattern(query.email));
+        if (query.type) filter.add('email_type = ?', query.type);
+        if (query.cartId) filter.add('cart_id = ?', query.cartId);
+        if (productId !== null) filter.add('product_id = ?', productId);
+      }
+    }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ?from&to (clicked_at) &cartId &outcome=live|recreated|converted|expired|failed &cursor&limit
+app.get('/api/recovery-clicks', async (req, res) => {
+  try {
+    res.json(await listRows(req, {
+      table: 'recovery_clicks',
+      timeColumn: 'clicked_at',
+      applyFilters(filter, query) {
+        if (query.cartId) filter.add('(cart_id = ? OR new_cart_id = ?)', query.cartId, query.cartId);
+        if (query.outcome) filter.add('outcome = ?', query.outcome);
+      }
+    }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ?from&to (created_at) &status=active|redeemed|expired &cartId &email &cursor&limit
+app.get('/api/coupons', async (req, res) => {
+  try {
+    res.json(await listRows(req, {
+      table: 'recovery_coupons',
+      timeColumn: 'created_at',
+      applyFilters(filter, query) {
+        if (query.status) filter.add('status = ?', query.status);
+        if (query.cartId) filter.add('cart_id = ?', query.cartId);
+        if (query.email) filter.add(`email ILIKE ? ESCAPE '\\'`, likePattern(query.email));
+      }
+    }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Last-30-days summary shared by /api/stats and the admin dashboard (all stores, or one)
+async function getStats(storeHash = null) {
+  const settings = await getSettings();
+
+  const cartStats = await pool.query(`
+    SELECT 
+      COUNT(*) FILTER (WHERE converted = FALSE AND customer_email IS NOT NULL AND customer_email != '') as abandoned_with_email,
+      COUNT(*) FILTER (WHERE converted = FALSE AND (customer_email IS NULL OR customer_email = '')) as abandoned_anonymous,
+      COUNT(*) FILTER (WHERE converted = TRUE) as converted
+    FROM abandoned_carts
+    WHERE created_at > NOW() - INTERVAL '30 days'
+      AND ($1::text IS NULL OR store_hash = $1)
+  `, [storeHash]);
+
+  // "converted" counts carts whose last recovery touch before converting was that step
+  const recoveryStats = await pool.query(`
+    SELECT 
+      COUNT(*) FILTER (WHERE email_sent_1 = TRUE) as email_1_sent,
+      COUNT(*) FILTER (WHERE email_sent_2 = TRUE) as email_2_sent,
+      COUNT(*) FILTER (WHERE email_sent_3 = TRUE) as email_3_sent,
+      COUNT(*) FILTER (WHERE converted = TRUE AND email_sent_1 = TRUE AND email_sent_2 = FALSE) as email_1_converted,
+      COUNT(*) FILTER (WHERE converted = TRUE AND email_sent_2 = TRUE AND email_sent_3 = FALSE) as email_2_converted,
+      COUNT(*) FILTER (WHERE converted = TRUE AND email_sent_3 = TRUE) as email_3_converted
+    FROM abandoned_carts
+    WHERE created_at > NOW() - INTERVAL '30 days'
+      AND ($1::text IS NULL OR store_hash = $1)
+  `, [storeHash]);
+  
+  const browseStats = await pool.query(`
+    SELECT 
+      COUNT(*) as total_views,
+      COUNT(DISTINCT customer_email) FILTER (WHERE customer_email IS NOT NULL AND customer_email != '') as unique_visitors_with_email,
+      COUNT(*) FILTER (WHERE email_sent = TRUE) as browse_emails_sent
+    FROM browse_events
+    WHERE viewed_at > NOW() - INTERVAL '30 days'
+      AND ($1::text IS NULL OR store_hash = $1)
+  `, [storeHash]);
+  
+  const couponStats = await pool.query(`
+    SELECT 
+      COUNT(*) as issued,
+      COUNT(*) FILTER (WHERE rc.status = 'redeemed') as redeemed,
+      COUNT(*) FILTER (WHERE rc.status = 'expired') as expired,
+      COUNT(*) FILTER (WHERE rc.status = 'active' AND rc.expires_at < NOW() - $2 * INTERVAL '1 hour') as overdue,
+      COALESCE(SUM(o.total) FILTER (WHERE rc.status = 'redeemed'), 0) as redeemed_revenue
+    FROM recovery_coupons rc
+    LEFT JOIN orders o ON o.store_hash = rc.store_hash AND o.order_id = rc.order_id
+    WHERE rc.created_at > NOW() - INTERVAL '30 days'
+      AND ($1::text IS NULL OR rc.store_hash = $1)
+  `, [storeHash, COUPON_OVERDUE_HOURS]);
+  
+  // Opens and clicks per email type, from sends made since tracking started (bots excluded)
+  const engagementStats = await pool.query(`
+    SELECT 
+      email_type,
+      COUNT(*) as sent,
+      COUNT(opened_at) as opened,
+      COUNT(clicked_at) as clicked
+    FROM email_log
+    WHERE sent_at > NOW() - INTERVAL '30 days'
+      AND send_id IS NOT NULL
+      AND ($1::text IS NULL OR store_hash = $1)
+    GROUP BY email_type
+    ORDER BY email_type
+  `, [storeHash]);
+
+  const engagement = engagementStats.rows.map(row => {
+    const sent = parseInt(row.sent);
+    const opened = parseInt(row.opened);
+    const clicked = parseInt(row.clicked);
+    return {
+      email_type: row.email_type,
+      sent: sent,
+      opened: opened,
+      clicked: clicked,
+      open_rate: sent > 0 ? opened / sent : 0,
+      click_rate: sent > 0 ? clicked / sent : 0,
+      click_to_open_rate: opened > 0 ? clicked / opened : 0
+    };
+  });
+  
+  return {
+    carts: cartStats.rows[0],
+    coupons: couponStats.rows[0],
+    engagement: engagement,
+    cartRecovery: {
+      ...recoveryStats.rows[0],
+      delaysHours: settings.cart_email_delays
+    },
+    browse: browseStats.rows[0],
+    testMode: settings.test_mode
+  };
+}
+
+app.get('/api/stats', async (req, res) => {
+  try {
+    res.json(await getStats(req.query.store || null));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// BigCommerce API client counters since startup
+app.get('/api/bigcommerce/metrics', (req, res) => {
+  const throttledStores = [...bcRateLimits.entries()]
+    .filter(([, resumeAt]) => resumeAt > Date.now())
+    .map(([storeHash, resumeAt]) => ({ storeHash: storeHash, resumesInMs: resumeAt - Date.now() }));
+
+  res.json({
+    ...bcMetrics,
+    averageLatencyMs: bcMetrics.requests > 0 ? Math.round(bcMetrics.totalLatencyMs / bcMetrics.requests) : 0,
+    throttledStores: throttledStores
+  });
+});
+
+// Installed stores (never the tokens)
+app.get('/api/stores', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT store_hash, name, store_url, source, status, owner_email, installed_at, uninstalled_at
+      FROM stores
+      ORDER BY installed_at
+    `);
+    res.json(result.rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Current settings plus their definitions (type, default, description)
+app.get('/api/settings', async (req, res) => {
+  try {
+    const settings = await getSettings();
+    const definitions = Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([key, definition]) => [key, {
+      type: definition.type,
+      default: definition.default,
+      description: definition.description
+    }]));
+    res.json({ settings: settings, definitions: definitions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update one or more settings: { "test_mode": true, "test_allowlist": ["@example.com"] }
+app.put('/api/settings', async (req, res) => {
+  const updates = Object.entries(req.body || {});
+  if (updates.length === 0) {
+    return res.status(400).json({ error: 'No settings provided' });
+  }
+
+  const client = await pool.connect();
+  try {
+    // Validate everything before writing anything
+    const values = updates.map(([key, value]) => [key, validateSetting(key, value)]);
+
+    await client.query('BEGIN');
+    for (const [key, value] of values) {
+      await client.query(`
+        INSERT INTO settings (key, value, updated_by)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (key) 
+        DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+      `, [key, JSON.stringify(value), req.principal?.name || null]);
+    }
+    await client.query('COMMIT');
+
+    clearSettingsCache();
+    console.log(`Settings updated by ${req.principal?.name || 'unknown'}: ${values.map(([key]) => key).join(', ')}`);
+    res.json({ success: true, settings: await getSettings() });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    res.status(error.status || 500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Reset a setting to its default
+app.delete('/api/settings/:key', async (req, res) => {
+  try {
+    if (!SETTINGS_SCHEMA[req.params.key]) {
+      return res.status(404).json({ error: `Unknown setting: ${req.params.key}` });
+    }
+    await pool.query('DELETE FROM settings WHERE key = $1', [req.params.key]);
+    clearSettingsCache();
+    res.json({ success: true, settings: await getSettings() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Adds rollup rows into the live rows with the same key
+function mergeRolledUp(rows, rolledUp, keyOf) {
+  const merged = new Map(rows.map(row => [keyOf(row), { ...row }]));
+  for (const row of rolledUp) {
+    const existing = merged.get(keyOf(row));
+    if (existing) {
+      existing.sends = parseInt(existing.sends) + parseInt(row.sends);
+      existing.orders = parseInt(existing.orders) + parseInt(row.orders);
+      existing.revenue = parseFloat(existing.revenue) + parseFloat(row.revenue);
+    } else {
+      merged.set(keyOf(row), { ...row });
+    }
+  }
+  return [...merged.values()];
+}
+
+// Recovered revenue per email type and per period
+// ?from=2024-01-01&to=2024-02-01&period=day|week|month&model=last_touch|first_touch
+app.get('/api/attribution', async (req, res) => {
+  try {
+    const model = req.query.model === 'first_touch' ? 'first_touch' : 'last_touch';
+    const period = ['day', 'week', 'month'].includes(req.query.period) ? req.query.period : 'day';
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 3600 * 1000);
+    const storeHash = req.query.store || null;
+
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ error: 'Invalid from/to date' });
+    }
+
+    // Grouped by when the email was sent; each order counts once, against its attributed send
+    const byType = await pool.query(`
+      SELECT 
+        el.email_type,
+        COUNT(DISTINCT el.id) as sends,
+        COUNT(o.order_id) as orders,
+        COALESCE(SUM(o.total), 0) as revenue,
+        ARRAY_REMOVE(ARRAY_AGG(DISTINCT o.currency), NULL) as currencies
+      FROM email_log el
+      LEFT JOIN orders o ON o.${model}_email_id = el.id
+      WHERE el.sent_at >= $1 AND el.sent_at < $2
+        AND ($3::text IS NULL OR el.store_hash = $3)
+      GROUP BY el.email_type
+      ORDER BY el.email_type
+    `, [from, to, storeHash]);
+
+    const byPeriod = await pool.query(`
+      SELECT 
+        DATE_TRUNC($3, el.sent_at) as period,
+        el.email_type,
+        COUNT(DISTINCT el.id) as sends,
+        COUNT(o.order_id) as orders,
+        COALESCE(SUM(o.total), 0) as revenue
+      FROM email_log el
+      LEFT JOIN orders o ON o.${model}_email_id = el.id
+      WHERE el.sent_at >= $1 AND el.sent_at < $2
+        AND ($4::text IS NULL OR el.store_hash = $4)
+      GROUP BY 1, 2
+      ORDER BY 1, 2
+    `, [from, to, period, storeHash]);
+
+    // Sends the retention purge has removed, from the daily rollups
+    const rolledUpByType = await pool.query(`
+      SELECT email_type, SUM(sent) as sends, SUM(${model}_orders) as orders, SUM(${model}_revenue) as revenue,
+        ARRAY[]::text[] as currencies
+      FROM daily_email_stats
+      WHERE day >= $1::date AND day < $2
+        AND ($3::text IS NULL OR store_hash = $3)
+      GROUP BY email_type
+    `, [from, to, storeHash]);
+
+    const rolledUpByPeriod = await pool.query(`
+      SELECT DATE_TRUNC($3, day::timestamp) as period, email_type, SUM(sent) as sends, 
+        SUM(${model}_orders) as orders, SUM(${model}_revenue) as revenue
+      FROM daily_email_stats
+      WHERE day >= $1::date AND day < $2
+        AND ($4::text IS NULL OR store_hash = $4)
+      GROUP BY 1, 2
+    `, [from, to, period, storeHash]);
+
+    const withRate = row => ({
+      ...row,
+      sends: parseInt(row.sends),
+      orders: parseInt(row.orders),
+      revenue: parseFloat(row.revenue),
+      conversion_rate: parseInt(row.sends) > 0 ? parseInt(row.orders) / parseInt(row.sends) : 0
+    });
+
+    const types = mergeRolledUp(byType.rows, rolledUpByType.rows, row => row.email_type)
+      .sort((a, b) => a.email_type.localeCompare(b.email_type))
+      .map(withRate);
+    const periods = mergeRolledUp(byPeriod.rows, rolledUpByPeriod.rows, row => `${new Date(row.period).toISOString()}|${row.email_type}`)
+      .sort((a, b) => new Date(a.period) - new Date(b.period) || a.email_type.localeCompare(b.email_type))
+      .map(withRate);
+    const totals = types.reduce((sum, row) => ({
+      sends: sum.sends + row.sends,
+      orders: sum.orders + row.orders,
+      revenue: sum.revenue + row.revenue
+    }), { sends: 0, orders: 0, revenue: 0 });
+
+    res.json({
+      model: model,
+      period: period,
+      store: storeHash,
+      from: from,
+      to: to,
+      attributionWindowDays: ATTRIBUTION_WINDOW_DAYS,
+      totals: { ...totals, conversion_rate: totals.sends > 0 ? totals.orders / totals.sends : 0 },
+      byEmailType: types,
+      byPeriod: periods
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Manual trigger for testing
+app.post('/api/process-browse', async (req, res) => {
+  try {
+    await processBrowseAbandonment();
+    res.json({ success: true, message: 'Browse processing triggered', testMode: cachedSetting('test_mode') });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/process-carts', async (req, res) => {
+  try {
+    await processCartRecovery();
+    res.json({ success: true, message: 'Cart recovery processing triggered', testMode: cachedSetting('test_mode') });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Dry runs: same selection as the processors, nothing sent or written
+app.get('/api/process-browse/dry-run', async (req, res) => {
+  try {
+    const outcome = await processBrowseAbandonment({ dryRun: true });
+    res.json({ dryRun: true, testMode: cachedSetting('test_mode'), sends: outcome.sends, skipped: outcome.skipped });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/process-carts/dry-run', async (req, res) => {
+  try {
+    const outcome = await processCartRecovery({ dryRun: true });
+    res.json({ dryRun: true, testMode: cachedSetting('test_mode'), sends: outcome.sends, skipped: outcome.skipped });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Why an address would or wouldn't be picked by each processor right now (?store= defaults to BC_STORE_HASH)
+app.get('/api/preview/:email', async (req, res) => {
+  try {
+    res.json(await previewEmail(req.params.email, req.query.store || BC_STORE_HASH));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/suppressions', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT * FROM suppressions 
+      ORDER BY created_at DESC 
+      LIMIT 500
+    `);
+    res.json(result.rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cart link audit trail (optionally for one cart)
+app.get('/api/cart-links', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT * FROM cart_link_audit 
+      WHERE ($1::varchar IS NULL OR cart_id = $1)
+      ORDER BY created_at DESC 
+      LIMIT 100
+    `, [req.query.cartId || null]);
+    res.json(result.rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Manually suppress an address
+app.post('/api/suppressions', async (req, res) => {
+  try {
+    const { email, reason } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: 'Email required' });
+    }
+    if (reason && !SUPPRESSION_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `reason must be one of: ${SUPPRESSION_REASONS.join(', ')}` });
+    }
+    await addSuppression(email, reason || 'manual', 'api');
+    res.json({ success: true, email: normalizeEmail(email) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Lift a suppression (e.g. the customer asked to be re-subscribed)
+app.delete('/api/suppressions/:email', async (req, res) => {
+  try {
+    const email = normalizeEmail(req.params.email);
+    const result = await pool.query('DELETE FROM suppressions WHERE email = $1', [email]);
+    const erased = SUBJECT_HASH_SECRET
+      ? await pool.query('DELETE FROM erased_suppressions WHERE email_hash = $1', [hashSubjectEmail(email)])
+      : { rowCount: 0 };
+    if (result.rowCount + erased.rowCount === 0) {
+      return res.status(404).json({ error: 'Email is not suppressed' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List webhook jobs (defaults to dead-lettered ones) with a count per status
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const status = req.query.status || 'dead';
+    const limit = parseLimitParam(req.query.limit);
+
+    const jobs = await pool.query(`
+      SELECT id, job_type, status, attempts, last_error, result, payload, run_at, created_at, updated_at, completed_at
+      FROM webhook_jobs 
+      WHERE status = $1 
+      ORDER BY updated_at DESC 
+      LIMIT $2
+    `, [status, limit]);
+
+    const counts = await pool.query(`
+      SELECT status, COUNT(*) as count 
+      FROM webhook_jobs 
+      GROUP BY status
+    `);
+
+    res.json({
+      counts: Object.fromEntries(counts.rows.map(row => [row.status, parseInt(row.count)])),
+      jobs: jobs.rows
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Retry one failed job now, with a fresh set of attempts
+app.post('/api/jobs/:id/retry', async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+    if (!Number.isInteger(jobId) || jobId <= 0 || String(jobId) !== req.params.id) {
+      return res.status(400).json({ error: 'Job ID must be a positive integer' });
+    }
+
+    const result = await pool.query(`
+      UPDATE webhook_jobs 
+      SET status = 'pending', attempts = 0, run_at = NOW(), locked_at = NULL, updated_at = NOW()
+      WHERE id = $1 AND status IN ('dead', 'pending')
+      RETURNING id
+    `, [jobId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No dead or pending job with that ID' });
+    }
+    res.json({ success: true, jobId: result.rows[0].id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retry every dead-lettered job
+app.post('/api/jobs/retry-dead', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE webhook_jobs 
+      SET status = 'pending', attempts = 0, run_at = NOW(), locked_at = NULL, updated_at = NOW()
+      WHERE status = 'dead'
+    `);
+    res.json({ success: true, retried: result.rowCount });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===================
+// DATA SUBJECT REQUESTS (GDPR/CCPA)
+// ===================
+// Export or erase everything held for one email address: its carts, sessions and sends, and
+// whatever hangs off them. Erasure either deletes the rows or anonymizes them (personal fields
+// cleared, rows kept so stats and attribution still add up), then asks the ESP to forget the
+// address. Each fulfilled request leaves a row in data_subject_requests. A suppression outlives the
+// erasure: it moves to erased_suppressions, keyed by an HMAC of the address, so they're never
+// emailed again.
+const SUBJECT_ERASE_MODES = ['delete', 'anonymize'];
+
+// Rows belonging to the subject, in terms of :email, :carts, :sessions and :sends. "anonymize" is
+// the SET clause used in anonymize mode; without one the rows are deleted in both modes.
+const SUBJECT_TABLES = {
+  abandoned_carts: {
+    where: 'LOWER(customer_email) = :email',
+    anonymize: `SET customer_email = NULL, customer_id = NULL, cart_data = cart_data - 'email' - 'customer_id' - 'billing_address'`
+  },
+  browse_events: {
+    where: 'LOWER(customer_email) = :email OR session_id = ANY(:sessions)',
+    anonymize: 'SET customer_email = NULL, session_id = NULL'
+  },
+  session_contacts: {
+    where: 'LOWER(email) = :email OR session_id = ANY(:sessions)'
+  },
+  email_log: {
+    where: 'LOWER(recipient_email) = :email',
+    anonymize: 'SET recipient_email = NULL'
+  },
+  email_events: {
+    where: 'send_id = ANY(:sends)',
+    anonymize: 'SET ip_address = NULL, user_agent = NULL'
+  },
+  email_links: {
+    where: 'send_id = ANY(:sends)'
+  },
+  orders: {
+    where: 'LOWER(customer_email) = :email OR cart_id = ANY(:carts)',
+    anonymize: 'SET customer_email = NULL'
+  },
+  recovery_coupons: {
+    where: 'LOWER(email) = :email OR cart_id = ANY(:carts)',
+    anonymize: 'SET email = NULL'
+  },
+  recovery_clicks: {
+    where: 'cart_id = ANY(:carts)',
+    anonymize: 'SET ip_address = NULL, user_agent = NULL'
+  },
+  cart_link_audit: {
+    where: 'LOWER(email) = :email OR cart_id = ANY(:carts) OR session_id = ANY(:sessions)',
+    anonymize: 'SET email = NULL, session_id = NULL, ip_address = NULL, user_agent = NULL'
+  },
+  cart_summary_images: {
+    where: 'cart_id = ANY(:carts)',
+    export: false
+  },
+  suppressions: {
+    where: 'email = :email'
+  }
+};
+
+// Requests are recorded by keyed hash, so nothing here runs without the key
+function requireSubjectHashSecret() {
+  if (!SUBJECT_HASH_SECRET) {
+    const error = new Error('SUBJECT_HASH_SECRET is not configured - data subject requests are disabled');
+    error.status = 503;
+    throw error;
+  }
+}
+
+// Keyed so the hash can't be reversed by hashing a list of known addresses
+function hashSubjectEmail(email) {
+  requireSubjectHashSecret();
+  return crypto.createHmac('sha256', SUBJECT_HASH_SECRET).update(email).digest('hex');
+}
+
+function parseSubjectEmail(value) {
+  const email = normalizeEmail(value);
+  if (!/^[^@\s]+@[^@\s]+$/.test(email)) {
+    throw badRequest('A valid email address is required');
+  }
+  return email;
+}
+
+// The subject's cart IDs, session IDs and send IDs
+async function findSubjectScope(db, email) {
+  const carts = await db.query('SELECT cart_id FROM abandoned_carts WHERE LOWER(customer_email) = $1', [email]);
+  const sessions = await db.query(`
+    SELECT session_id FROM session_contacts WHERE LOWER(email) = $1
+    UNION
+    SELECT session_id FROM browse_events WHERE LOWER(customer_email) = $1 AND session_id IS NOT NULL
+  `, [email]);
+  const sends = await db.query('SELECT send_id FROM email_log WHERE LOWER(recipient_email) = $1 AND send_id IS NOT NULL', [email]);
+
+  return {
+    email: email,
+    carts: carts.rows.map(row => row.cart_id),
+    sessions: sessions.rows.map(row => row.session_id),
+    sends: sends.rows.map(row => row.send_id)
+  };
+}
+
+// Swaps :name placeholders for $1, $2... Returns [text, params].
+function subjectQuery(sql, scope) {
+  const params = [];
+  const text = sql.replace(/:(email|carts|sessions|sends)\b/g, (match, name) => {
+    params.push(scope[name]);
+    return `$${params.length}`;
+  });
+  return [text, params];
+}
+
+async function recordSubjectRequest(email, requestType, details) {
+  const result = await pool.query(`
+    INSERT INTO data_subject_requests (request_type, mode, email_hash, row_counts, esp_status, requested_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING id
+  `, [requestType, details.mode || null, hashSubjectEmail(email), JSON.stringify(details.rowCounts), details.espStatus || null, details.requestedBy || null]);
+  return result.rows[0].id;
+}
+
+// Everything held for the address, table by table, plus the ESP's subscriber record
+async function exportSubject(email, requestedBy) {
+  requireSubjectHashSecret();
+  const scope = await findSubjectScope(pool, email);
+  const tables = {};
+
+  for (const [table, spec] of Object.entries(SUBJECT_TABLES)) {
+    if (spec.export === false) continue;
+    const [text, params] = subjectQuery(`SELECT * FROM ${table} WHERE ${spec.where}`, scope);
+    tables[table] = (await pool.query(text, params)).rows;
+  }
+
+  let espSubscriber = null;
+  try {
+    espSubscriber = await emailProvider.getSubscriber(email);
+  } catch (error) {
+    console.error(`Error exporting ${email} from ${emailProvider.name}:`, error);
+    espSubscriber = { error: `Could not fetch the subscriber from ${emailProvider.name}: ${error.message}` };
+  }
+
+  const rowCounts = Object.fromEntries(Object.entries(tables).map(([table, rows]) => [table, rows.length]));
+  const requestId = await recordSubjectRequest(email, 'export', { rowCounts: rowCounts, requestedBy: requestedBy });
+
+  return {
+    email: email,
+    exportedAt: new Date().toISOString(),
+    requestId: requestId,
+    tables: tables,
+    esp: { provider: emailProvider.name, subscriber: espSubscriber }
+  };
+}
+
+// One JSON file per table, plus the ESP record and a summary
+function subjectExportZip(data) {
+  const zip = new AdmZip();
+  const json = value => Buffer.from(JSON.stringify(value, null, 2));
+
+  zip.addFile('summary.json', json({
+    email: data.email,
+    exportedAt: data.exportedAt,
+    requestId: data.requestId,
+    rows: Object.fromEntries(Object.entries(data.tables).map(([table, rows]) => [table, rows.length]))
+  }));
+  for (const [table, rows] of Object.entries(data.tables)) {
+    zip.addFile(`tables/${table}.json`, json(rows));
+  }
+  zip.addFile(`esp/${data.esp.provider}.json`, json(data.esp.subscriber));
+
+  return zip.toBuffer();
+}
+
+// Deletes or anonymizes every row in one transaction, then has the ESP forget the address.
+// Safe to repeat, e.g. when the ESP step failed.
+async function eraseSubject(email, mode, requestedBy) {
+  if (!SUBJECT_ERASE_MODES.includes(mode)) {
+    throw badRequest(`mode must be one of: ${SUBJECT_ERASE_MODES.join(', ')}`);
+  }
+
+  const emailHash = hashSubjectEmail(email);
+  const rowCounts = {};
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const scope = await findSubjectScope(client, email);
+
+    // Before the suppressions row is deleted below
+    await client.query(`
+      INSERT INTO erased_suppressions (email_hash, reason)
+      SELECT $1, reason FROM suppressions WHERE email = $2
+      ON CONFLICT (email_hash) DO UPDATE SET reason = EXCLUDED.reason
+    `, [emailHash, email]);
+
+    for (const [table, spec] of Object.entries(SUBJECT_TABLES)) {
+      const action = mode === 'anonymize' && spec.anonymize ? `UPDATE ${table} ${spec.anonymize}` : `DELETE FROM ${table}`;
+      const [text, params] = subjectQuery(`${action} WHERE ${spec.where}`, scope);
+      rowCounts[table] = (await client.query(text, params)).rowCount;
     }
 
-    // Update the BigCommerce cart with this email
-    const updated = await updateCartEmail(cartId, email);
-    
-    if (updated) {
-      // Also update our database
-      await pool.query(`
-        UPDATE abandoned_carts 
-        SET customer_email = $1, updated_at = CURRENT_TIMESTAMP 
-        WHERE cart_id = $2
-      `, [email, cartId]);
-      
-      console.log(`Successfully linked email ${email} to cart ${cartId}`);
-      return res.status(200).json({ success: true, cartId: cartId });
-    } else {
-      return res.status(200).json({ success: false, error: 'Failed to update BigCommerce cart' });
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const espStatus = await emailProvider.forgetSubscriber(email) ? 'forgotten' : 'failed';
+  const requestId = await recordSubjectRequest(email, 'erase', {
+    mode: mode,
+    rowCounts: rowCounts,
+    espStatus: espStatus,
+    requestedBy: requestedBy
+  });
+
+  console.log(`Erased data subject request #${requestId} (${mode}), ESP ${espStatus}`);
+  return { requestId: requestId, mode: mode, rows: rowCounts, esp: { provider: emailProvider.name, status: espStatus } };
+}
+
+// Personal data: both need an operator key, even the export
+function requireOperator(req, res) {
+  if (ROLE_LEVELS[req.principal?.role] >= ROLE_LEVELS.operator) return true;
+  res.status(403).json({ error: 'Requires operator role' });
+  return false;
+}
+
+// ?format=json (default) or zip
+app.get('/api/data-subjects/:email/export', async (req, res) => {
+  try {
+    if (!requireOperator(req, res)) return;
+    requireSubjectHashSecret();
+    const email = parseSubjectEmail(req.params.email);
+    const data = await exportSubject(email, req.principal.name);
+    const filename = `data-export-${data.requestId}`;
+
+    if (req.query.format === 'zip') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.zip"`);
+      return res.type('application/zip').send(subjectExportZip(data));
     }
+    res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.json(data);
   } catch (error) {
-    console.error('Error in add-to-cart tracking:', error);
-    res.status(200).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-app.options('/track/add-to-cart', (req, res) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
-  res.status(200).end();
+// ?mode=delete (default) or anonymize
+app.delete('/api/data-subjects/:email', async (req, res) => {
+  try {
+    if (!requireOperator(req, res)) return;
+    requireSubjectHashSecret();
+    const email = parseSubjectEmail(req.params.email);
+    res.json(await eraseSubject(email, req.query.mode || 'delete', req.principal.name));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
 });
 
-// Browse event endpoint
-app.post('/track/product-view', async (req, res) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
-  
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+// ?type=export|erase &from&to (completed_at) &cursor&limit
+app.get('/api/data-subject-requests', async (req, res) => {
+  try {
+    requireSubjectHashSecret();
+    res.json(await listRows(req, {
+      table: 'data_subject_requests',
+      timeColumn: 'completed_at',
+      applyFilters(filter, query) {
+        if (query.type) filter.add('request_type = ?', query.type);
+        if (query.email) filter.add('email_hash = ?', hashSubjectEmail(normalizeEmail(query.email)));
+      }
+    }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
+});
 
-  try {
-    const { sessionId, email, productId, productName, productUrl, productImage, productPrice } = req.body;
-    
-    if (!productId) {
-      return res.status(400).json({ error: 'Product ID required' });
+// ===================
+// DATA RETENTION
+// ===================
+// A nightly purge deletes rows older than their retention_* setting, RETENTION_BATCH_SIZE at a time.
+// Rows that feed reports are added to the daily_* rollup tables in the same statement that deletes
+// them, so /api/attribution and /api/stats/daily count them either live or rolled up, never both.
+// Retention is at least 30 days, so the 30-day /api/stats summary only ever needs live rows.
+const RETENTION_BATCH_SIZE = 5000;
+const RETENTION_MAX_BATCHES = 200;   // Per policy per run - a backlog is worked off over several nights
+
+// "purged" is the CTE holding this batch's deleted rows. A policy with "anonymize" (a SET clause)
+// clears personal fields and keeps the rows instead of deleting them.
+const RETENTION_POLICIES = [
+  {
+    name: 'browse_events',
+    setting: 'retention_browse_events_days',
+    table: 'browse_events',
+    timeColumn: 'viewed_at',
+    rollup: `
+      INSERT INTO daily_browse_stats (store_hash, day, total_views, views_with_email, browse_emails_sent)
+      SELECT
+        COALESCE(store_hash, ''),
+        viewed_at::date,
+        COUNT(*),
+        COUNT(*) FILTER (WHERE customer_email IS NOT NULL AND customer_email != ''),
+        COUNT(*) FILTER (WHERE email_sent = TRUE)
+      FROM purged
+      GROUP BY 1, 2
+      ON CONFLICT (store_hash, day) DO UPDATE SET
+        total_views = daily_browse_stats.total_views + EXCLUDED.total_views,
+        views_with_email = daily_browse_stats.views_with_email + EXCLUDED.views_with_email,
+        browse_emails_sent = daily_browse_stats.browse_emails_sent + EXCLUDED.browse_emails_sent`
+  },
+  {
+    name: 'converted_carts',
+    setting: 'retention_converted_carts_days',
+    table: 'abandoned_carts',
+    timeColumn: 'updated_at',
+    condition: 'converted = TRUE',
+    rollup: 'cart'
+  },
+  {
+    name: 'abandoned_carts',
+    setting: 'retention_abandoned_carts_days',
+    table: 'abandoned_carts',
+    timeColumn: 'updated_at',
+    condition: 'converted = FALSE',
+    rollup: 'cart'
+  },
+  {
+    name: 'email_log',
+    setting: 'retention_email_log_days',
+    table: 'email_log',
+    timeColumn: 'sent_at',
+    rollup: `
+      INSERT INTO daily_email_stats (store_hash, day, email_type, sent, opened, clicked,
+                                     first_touch_orders, first_touch_revenue, last_touch_orders, last_touch_revenue)
+      SELECT
+        COALESCE(p.store_hash, ''),
+        p.sent_at::date,
+        p.email_type,
+        COUNT(*),
+        COUNT(p.opened_at),
+        COUNT(p.clicked_at),
+        SUM(ft.orders),
+        SUM(ft.revenue),
+        SUM(lt.orders),
+        SUM(lt.revenue)
+      FROM purged p
+      CROSS JOIN LATERAL (
+        SELECT COUNT(*) as orders, COALESCE(SUM(total), 0) as revenue FROM orders WHERE first_touch_email_id = p.id
+      ) ft
+      CROSS JOIN LATERAL (
+        SELECT COUNT(*) as orders, COALESCE(SUM(total), 0) as revenue FROM orders WHERE last_touch_email_id = p.id
+      ) lt
+      GROUP BY 1, 2, 3
+      ON CONFLICT (store_hash, day, email_type) DO UPDATE SET
+        sent = daily_email_stats.sent + EXCLUDED.sent,
+        opened = daily_email_stats.opened + EXCLUDED.opened,
+        clicked = daily_email_stats.clicked + EXCLUDED.clicked,
+        first_touch_orders = daily_email_stats.first_touch_orders + EXCLUDED.first_touch_orders,
+        first_touch_revenue = daily_email_stats.first_touch_revenue + EXCLUDED.first_touch_revenue,
+        last_touch_orders = daily_email_stats.last_touch_orders + EXCLUDED.last_touch_orders,
+        last_touch_revenue = daily_email_stats.last_touch_revenue + EXCLUDED.last_touch_revenue`
+  },
+  {
+    name: 'email_events',
+    setting: 'retention_email_events_days',
+    table: 'email_events',
+    timeColumn: 'created_at'
+  },
+  {
+    name: 'email_links',
+    setting: 'retention_email_events_days',
+    table: 'email_links',
+    timeColumn: 'created_at'
+  },
+  {
+    name: 'cart_link_audit',
+    setting: 'retention_cart_link_audit_days',
+    table: 'cart_link_audit',
+    timeColumn: 'created_at'
+  },
+  {
+    name: 'recovery_clicks',
+    setting: 'retention_recovery_clicks_days',
+    table: 'recovery_clicks',
+    timeColumn: 'clicked_at'
+  },
+  {
+    name: 'session_contacts',
+    setting: 'retention_session_contacts_days',
+    table: 'session_contacts',
+    timeColumn: 'last_seen_at'
+  },
+  {
+    name: 'order_emails',
+    setting: 'retention_order_emails_days',
+    table: 'orders',
+    timeColumn: 'created_at',
+    condition: 'customer_email IS NOT NULL',
+    anonymize: 'SET customer_email = NULL'
+  }
+];
+
+// Converted and unconverted carts expire separately but share a rollup
+const CART_ROLLUP = `
+  INSERT INTO daily_cart_stats (store_hash, day, carts, with_email, converted, email_1_sent, email_2_sent, email_3_sent,
+                                email_1_converted, email_2_converted, email_3_converted)
+  SELECT
+    COALESCE(store_hash, ''),
+    created_at::date,
+    COUNT(*),
+    COUNT(*) FILTER (WHERE customer_email IS NOT NULL AND customer_email != ''),
+    COUNT(*) FILTER (WHERE converted = TRUE),
+    COUNT(*) FILTER (WHERE email_sent_1 = TRUE),
+    COUNT(*) FILTER (WHERE email_sent_2 = TRUE),
+    COUNT(*) FILTER (WHERE email_sent_3 = TRUE),
+    COUNT(*) FILTER (WHERE converted = TRUE AND email_sent_1 = TRUE AND email_sent_2 = FALSE),
+    COUNT(*) FILTER (WHERE converted = TRUE AND email_sent_2 = TRUE AND email_sent_3 = FALSE),
+    COUNT(*) FILTER (WHERE converted = TRUE AND email_sent_3 = TRUE)
+  FROM purged
+  GROUP BY 1, 2
+  ON CONFLICT (store_hash, day) DO UPDATE SET
+    carts = daily_cart_stats.carts + EXCLUDED.carts,
+    with_email = daily_cart_stats.with_email + EXCLUDED.with_email,
+    converted = daily_cart_stats.converted + EXCLUDED.converted,
+    email_1_sent = daily_cart_stats.email_1_sent + EXCLUDED.email_1_sent,
+    email_2_sent = daily_cart_stats.email_2_sent + EXCLUDED.email_2_sent,
+    email_3_sent = daily_cart_stats.email_3_sent + EXCLUDED.email_3_sent,
+    email_1_converted = daily_cart_stats.email_1_converted + EXCLUDED.email_1_converted,
+    email_2_converted = daily_cart_stats.email_2_converted + EXCLUDED.email_2_converted,
+    email_3_converted = daily_cart_stats.email_3_converted + EXCLUDED.email_3_converted`;
+
+// Deletes (and rolls up) one policy's expired rows in batches. Returns how many were purged.
+async function runRetentionPolicy(policy, days) {
+  const rollup = policy.rollup === 'cart' ? CART_ROLLUP : policy.rollup;
+  const sql = `
+    WITH purged AS (
+      ${policy.anonymize ? `UPDATE ${policy.table} ${policy.anonymize}` : `DELETE FROM ${policy.table}`}
+      WHERE ctid IN (
+        SELECT ctid FROM ${policy.table}
+        WHERE ${policy.timeColumn} < NOW() - $1 * INTERVAL '1 day'
+          ${policy.condition ? `AND ${policy.condition}` : ''}
+        LIMIT $2
+      )
+      RETURNING *
+    )${rollup ? `,
+    rolled_up AS (${rollup})` : ''}
+    SELECT COUNT(*) as purged FROM purged
+  `;
+
+  let total = 0;
+  for (let batch = 0; batch < RETENTION_MAX_BATCHES; batch++) {
+    const result = await pool.query(sql, [days, RETENTION_BATCH_SIZE]);
+    const purged = parseInt(result.rows[0].purged);
+    total += purged;
+    if (purged < RETENTION_BATCH_SIZE) break;
+  }
+  return total;
+}
+
+// Runs every policy with a retention set. Returns { policy: rows purged }.
+async function purgeExpiredData() {
+  const settings = await getSettings();
+  const purged = {};
+
+  for (const policy of RETENTION_POLICIES) {
+    const days = settings[policy.setting];
+    if (!days) continue;
+
+    let error = null;
+    try {
+      purged[policy.name] = await runRetentionPolicy(policy, days);
+      if (purged[policy.name] > 0) {
+        console.log(`Retention: purged ${purged[policy.name]} ${policy.name} older than ${days} days`);
+      }
+    } catch (policyError) {
+      console.error(`Retention: error purging ${policy.name}:`, policyError);
+      error = policyError.message;
     }
 
     await pool.query(`
-      INSERT INTO browse_events (session_id, customer_email, product_id, product_name, product_url, product_image, product_price)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-    `, [sessionId, email, productId, productName, productUrl, productImage, productPrice || 0]);
+      INSERT INTO retention_runs (policy, last_run_at, last_purged, total_purged, last_error)
+      VALUES ($1, CURRENT_TIMESTAMP, $2, $2, $3)
+      ON CONFLICT (policy) DO UPDATE SET
+        last_run_at = CURRENT_TIMESTAMP,
+        last_purged = EXCLUDED.last_purged,
+        total_purged = retention_runs.total_purged + EXCLUDED.last_purged,
+        last_error = EXCLUDED.last_error
+    `, [policy.name, purged[policy.name] || 0, error]);
+  }
+
+  return purged;
+}
 
-    console.log(`Product view tracked: ${productId} - ${productName} (${email || 'anonymous'})`);
-    res.status(200).json({ tracked: true });
+schedule('0 4 * * *', async () => {
+  try {
+    await purgeExpiredData();
   } catch (error) {
-    console.error('Error tracking product view:', error);
-    res.status(200).json({ tracked: false, error: error.message });
+    console.error('Error running retention purge:', error);
   }
 });
 
-app.options('/track/product-view', (req, res) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
-  res.status(200).end();
+// Each policy's retention and last run
+app.get('/api/retention', async (req, res) => {
+  try {
+    const settings = await getSettings();
+    const runs = await pool.query('SELECT * FROM retention_runs');
+    const runsByPolicy = Object.fromEntries(runs.rows.map(row => [row.policy, row]));
+
+    res.json(RETENTION_POLICIES.map(policy => ({
+      policy: policy.name,
+      table: policy.table,
+      setting: policy.setting,
+      days: settings[policy.setting] || null,
+      rolledUp: Boolean(policy.rollup),
+      lastRunAt: runsByPolicy[policy.name]?.last_run_at || null,
+      lastPurged: runsByPolicy[policy.name]?.last_purged || 0,
+      totalPurged: parseInt(runsByPolicy[policy.name]?.total_purged || 0),
+      lastError: runsByPolicy[policy.name]?.last_error || null
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Popup signup endpoint
-app.post('/popup/signup', async (req, res) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
+// Run the purge now instead of waiting for the nightly job
+app.post('/api/retention/run', async (req, res) => {
+  try {
+    res.json({ success: true, purged: await purgeExpiredData() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// Per-day carts, product views and sends (?from&to, default last 90 days; ?store=), live rows plus rollups
+app.get('/api/stats/daily', async (req, res) => {
   try {
-    const { email } = req.body;
-    
-    if (!email) {
-      return res.status(400).json({ success: false, error: 'Email required' });
-    }
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 90 * 24 * 3600 * 1000);
+    const storeHash = req.query.store || null;
 
-    const success = await addSubscriberToMailerLite(email, 'Peekaboo Website Popup', {});
-    
-    if (success) {
-      console.log(`Popup signup: ${email}`);
-      res.status(200).json({ success: true });
-    } else {
-      res.status(200).json({ success: false, error: 'Could not add to list' });
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ error: 'Invalid from/to date' });
     }
+
+    const carts = await pool.query(`
+      SELECT day, SUM(carts) as carts, SUM(with_email) as with_email, SUM(converted) as converted
+      FROM (
+        SELECT created_at::date as day, COUNT(*) as carts,
+          COUNT(*) FILTER (WHERE customer_email IS NOT NULL AND customer_email != '') as with_email,
+          COUNT(*) FILTER (WHERE converted = TRUE) as converted
+        FROM abandoned_carts
+        WHERE created_at >= $1 AND created_at < $2 AND ($3::text IS NULL OR store_hash = $3)
+        GROUP BY 1
+        UNION ALL
+        SELECT day, carts, with_email, converted
+        FROM daily_cart_stats
+        WHERE day >= $1::date AND day < $2 AND ($3::text IS NULL OR store_hash = $3)
+      ) combined
+      GROUP BY day
+      ORDER BY day
+    `, [from, to, storeHash]);
+
+    const views = await pool.query(`
+      SELECT day, SUM(total_views) as total_views, SUM(views_with_email) as views_with_email
+      FROM (
+        SELECT viewed_at::date as day, COUNT(*) as total_views,
+          COUNT(*) FILTER (WHERE customer_email IS NOT NULL AND customer_email != '') as views_with_email
+        FROM browse_events
+        WHERE viewed_at >= $1 AND viewed_at < $2 AND ($3::text IS NULL OR store_hash = $3)
+        GROUP BY 1
+        UNION ALL
+        SELECT day, total_views, views_with_email
+        FROM daily_browse_stats
+        WHERE day >= $1::date AND day < $2 AND ($3::text IS NULL OR store_hash = $3)
+      ) combined
+      GROUP BY day
+      ORDER BY day
+    `, [from, to, storeHash]);
+
+    const emails = await pool.query(`
+      SELECT day, email_type, SUM(sent) as sent, SUM(opened) as opened, SUM(clicked) as clicked
+      FROM (
+        SELECT sent_at::date as day, email_type, COUNT(*) as sent, COUNT(opened_at) as opened, COUNT(clicked_at) as clicked
+        FROM email_log
+        WHERE sent_at >= $1 AND sent_at < $2 AND ($3::text IS NULL OR store_hash = $3)
+        GROUP BY 1, 2
+        UNION ALL
+        SELECT day, email_type, sent, opened, clicked
+        FROM daily_email_stats
+        WHERE day >= $1::date AND day < $2 AND ($3::text IS NULL OR store_hash = $3)
+      ) combined
+      GROUP BY day, email_type
+      ORDER BY day, email_type
+    `, [from, to, storeHash]);
+
+    res.json({
+      from: from,
+      to: to,
+      store: storeHash,
+      carts: carts.rows,
+      views: views.rows,
+      emails: emails.rows
+    });
   } catch (error) {
-    console.error('Error processing popup signup:', error);
-    res.status(200).json({ success: false, error: error.message });
+    res.status(500).json({ error: error.message });
   }
 });
 
-app.options('/popup/signup', (req, res) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
-  res.status(200).end();
-});
-
 // ===================
-// API ENDPOINTS
+// ADMIN DASHBOARD
 // ===================
+// Server-rendered pages for ops staff - same data as the /api endpoints, no build step.
+const ADMIN_PAGE_SIZE = 50;
 
-app.get('/api/abandoned-carts', async (req, res) => {
+// Like the /api listings, pages are scoped by ?store= (all stores when it's absent)
+function adminUrl(req, path, params = {}) {
+  const query = new URLSearchParams(Object.entries({ ...params, store: req.query.store }).filter(([, value]) => value));
+  return query.size > 0 ? `${path}?${query}` : path;
+}
+
+// Keeps the selected store when a filter form is submitted
+function adminStoreInput(req) {
+  return req.query.store ? `<input type="hidden" name="store" value="${escapeHtml(req.query.store)}">` : '';
+}
+
+function adminLayout(title, body, { req = null, stores = [] } = {}) {
+  const nav = [
+    ['/admin', 'Dashboard'],
+    ['/admin/carts', 'Carts'],
+    ['/admin/browse', 'Browse'],
+    ['/admin/email-log', 'Email Log']
+  ].map(([href, label]) => `<a href="${escapeHtml(req ? adminUrl(req, href) : href)}">${label}</a>`).join('');
+  const logout = '<form method="POST" action="/admin/logout" style="float:right;margin:0"><button>Sign out</button></form>';
+  const current = req?.query.store || '';
+  const picker = req && (stores.length > 1 || current) ? `<form method="GET" action="${escapeHtml(req.path)}" style="float:right;margin:0 12px 0 0">
+    <select name="store" onchange="this.form.submit()">
+      <option value="">All stores</option>
+      ${stores.map(store => `<option value="${escapeHtml(store.store_hash)}"${store.store_hash === current ? ' selected' : ''}>${escapeHtml(store.name || store.store_hash)}</option>`).join('')}
+    </select></form>` : '';
+
+  return `<!DOCTYPE html>
+<html><head>
+<meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - Peek-a-Boo Admin</title>
+<style>
+  body { font-family: -apple-system, Arial, sans-serif; margin: 0; color: #222; background: #f6f6f8; }
+  header { background: #222; padding: 12px 24px; }
+  header a { color: #fff; margin-right: 20px; text-decoration: none; }
+  main { padding: 24px; max-width: 1200px; margin: 0 auto; }
+  table { border-collapse: collapse; width: 100%; background: #fff; }
+  th, td { text-align: left; padding: 8px; border-bottom: 1px solid #eee; font-size: 14px; vertical-align: top; }
+  th { background: #fafafa; }
+  .cards { display: flex; flex-wrap: wrap; gap: 12px; margin-bottom: 24px; }
+  .card { background: #fff; padding: 16px; border-radius: 6px; min-width: 160px; }
+  .card b { display: block; font-size: 24px; }
+  .chart { background: #fff; padding: 16px; border-radius: 6px; margin-bottom: 24px; }
+  .muted { color: #888; }
+  .badge { padding: 2px 6px; border-radius: 4px; background: #eee; font-size: 12px; }
+  .badge.ok { background: #d4f5dd; }
+  form.inline { display: inline; }
+  input, select, button { padding: 6px 8px; font-size: 14px; }
+  .pager { margin: 16px 0; }
+  .pager a { margin-right: 12px; }
+</style>
+</head><body>
+<header>${logout}${picker}${nav}</header>
+<main>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</main>
+</body></html>`;
+}
+
+// Anything that isn't http(s) (e.g. javascript:) is shown as text instead of a link
+function adminLink(url, label) {
+  const href = httpUrl(url);
+  return href ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${escapeHtml(label)}</a>` : escapeHtml(label);
+}
+
+function adminImage(url, width) {
+  const src = httpUrl(url);
+  return src ? `<img src="${escapeHtml(src)}" width="${width}" alt="">` : '';
+}
+
+function formatDateTime(value) {
+  return value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) : '';
+}
+
+// Simple vertical bar chart as inline SVG: points = [{ label, value }]
+function svgBarChart(title, points, color = '#4a6cf7') {
+  const width = 720;
+  const height = 160;
+  const max = Math.max(1, ...points.map(point => point.value));
+  const barWidth = points.length > 0 ? width / points.length : width;
+
+  const bars = points.map((point, i) => {
+    const barHeight = Math.round((point.value / max) * (height - 20));
+    return `<rect x="${i * barWidth + 1}" y="${height - barHeight}" width="${Math.max(barWidth - 2, 1)}" height="${barHeight}" fill="${color}">` +
+      `<title>${escapeHtml(point.label)}: ${point.value}</title></rect>`;
+  }).join('');
+
+  return `<div class="chart"><strong>${escapeHtml(title)}</strong>
+<svg viewBox="0 0 ${width} ${height}" width="100%" height="${height}" preserveAspectRatio="none">${bars}</svg>
+<div class="muted">${escapeHtml(points[0]?.label || '')} – ${escapeHtml(points[points.length - 1]?.label || '')}, max ${max}</div></div>`;
+}
+
+// Fill in missing days so charts have one bar per day
+function dailySeries(rows, days = 30) {
+  const byDay = new Map(rows.map(row => [new Date(row.day).toISOString().slice(0, 10), parseInt(row.count)]));
+  const points = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const day = new Date(Date.now() - i * 24 * 3600 * 1000).toISOString().slice(0, 10);
+    points.push({ label: day, value: byDay.get(day) || 0 });
+  }
+  return points;
+}
+
+function pager(req, page, hasMore) {
+  const link = p => {
+    const query = new URLSearchParams({ ...req.query, page: p });
+    return `${req.path}?${query}`;
+  };
+  return `<div class="pager">
+    ${page > 1 ? `<a href="${escapeHtml(link(page - 1))}">← Newer</a>` : ''}
+    ${hasMore ? `<a href="${escapeHtml(link(page + 1))}">Older →</a>` : ''}
+  </div>`;
+}
+
+async function renderAdmin(req, title, body) {
+  const stores = await pool.query('SELECT store_hash, name FROM stores ORDER BY installed_at');
+  return adminLayout(title, body, { req: req, stores: stores.rows });
+}
+
+function adminError(res, error) {
+  console.error('Admin page error:', error);
+  res.status(500).send(adminLayout('Error', `<p>${escapeHtml(error.message)}</p>`));
+}
+
+app.get('/admin', async (req, res) => {
+  try {
+    const storeHash = req.query.store || null;
+    const stats = await getStats(storeHash);
+    const daily = await pool.query(`
+      SELECT 'carts' as series, DATE_TRUNC('day', created_at) as day, COUNT(*) as count
+      FROM abandoned_carts WHERE created_at > NOW() - INTERVAL '30 days' AND ($1::text IS NULL OR store_hash = $1) GROUP BY 2
+      UNION ALL
+      SELECT 'views', DATE_TRUNC('day', viewed_at), COUNT(*)
+      FROM browse_events WHERE viewed_at > NOW() - INTERVAL '30 days' AND ($1::text IS NULL OR store_hash = $1) GROUP BY 2
+      UNION ALL
+      SELECT 'emails', DATE_TRUNC('day', sent_at), COUNT(*)
+      FROM email_log WHERE sent_at > NOW() - INTERVAL '30 days' AND ($1::text IS NULL OR store_hash = $1) GROUP BY 2
+    `, [storeHash]);
+    const series = name => dailySeries(daily.rows.filter(row => row.series === name));
+
+    const card = (label, value) => `<div class="card"><b>${escapeHtml(value ?? 0)}</b>${escapeHtml(label)}</div>`;
+    const body = `
+      <p class="muted">Last 30 days. Test mode: ${stats.testMode ? 'ON' : 'OFF'} · Email provider: ${escapeHtml(emailProvider.name)}</p>
+      <div class="cards">
+        ${card('Abandoned carts with email', stats.carts.abandoned_with_email)}
+        ${card('Anonymous carts', stats.carts.abandoned_anonymous)}
+        ${card('Converted carts', stats.carts.converted)}
+        ${card('Product views', stats.browse.total_views)}
+        ${card('Browse emails sent', stats.browse.browse_emails_sent)}
+        ${card('Cart email 1 / 2 / 3', `${stats.cartRecovery.email_1_sent} / ${stats.cartRecovery.email_2_sent} / ${stats.cartRecovery.email_3_sent}`)}
+      </div>
+      ${svgBarChart('Carts created per day', series('carts'))}
+      ${svgBarChart('Product views per day', series('views'), '#2bb673')}
+      ${svgBarChart('Emails sent per day', series('emails'), '#f7a84a')}
+      <h2>Processors</h2>
+      <p>
+        <button data-trigger="/api/process-browse">Run browse abandonment now</button>
+        <button data-trigger="/api/process-carts">Run cart recovery now</button>
+        <span id="trigger-result" class="muted"></span>
+      </p>
+      <script>
+        document.querySelectorAll('[data-trigger]').forEach(function (button) {
+          button.addEventListener('click', function () {
+            if (!confirm('This sends real emails (unless test mode is on). Continue?')) return;
+            var result = document.getElementById('trigger-result');
+            button.disabled = true;
+            result.textContent = 'Running...';
+            fetch(button.dataset.trigger, { method: 'POST' })
+              .then(function (response) { return response.json(); })
+              .then(function (data) { result.textContent = data.message || data.error || 'Done'; })
+              .catch(function (error) { result.textContent = error.message; })
+              .then(function () { button.disabled = false; });
+          });
+        });
+      </script>`;
+
+    res.send(await renderAdmin(req, 'Dashboard', body));
+  } catch (error) {
+    adminError(res, error);
+  }
+});
+
+app.get('/admin/carts', async (req, res) => {
   try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const status = ['abandoned', 'converted', 'all'].includes(req.query.status) ? req.query.status : 'abandoned';
+
     const result = await pool.query(`
-      SELECT * FROM abandoned_carts 
-      WHERE converted = FALSE 
-      ORDER BY updated_at DESC 
-      LIMIT 100
-    `);
-    res.json(result.rows);
+      SELECT cart_id, customer_email, cart_total, cart_data, updated_at, converted, email_sent_1, email_sent_2, email_sent_3
+      FROM abandoned_carts
+      WHERE ($1 = 'all' OR converted = ($1 = 'converted'))
+        AND ($2::varchar IS NULL OR customer_email ILIKE $2 ESCAPE '\\')
+        AND ($5::text IS NULL OR store_hash = $5)
+      ORDER BY updated_at DESC
+      LIMIT $3 OFFSET $4
+    `, [status, req.query.q ? likePattern(req.query.q) : null, ADMIN_PAGE_SIZE + 1, (page - 1) * ADMIN_PAGE_SIZE, req.query.store || null]);
+
+    const rows = result.rows.slice(0, ADMIN_PAGE_SIZE).map(cart => {
+      const items = getCartLineItems(cart.cart_data);
+      const steps = [1, 2, 3].map(n => cart[`email_sent_${n}`] ? `<span class="badge ok">${n}</span>` : `<span class="badge">${n}</span>`).join(' ');
+      return `<tr>
+        <td><a href="${escapeHtml(adminUrl(req, `/admin/carts/${encodeURIComponent(cart.cart_id)}`))}">${escapeHtml(cart.cart_id.slice(0, 8))}…</a></td>
+        <td>${cart.customer_email ? `<a href="${escapeHtml(adminUrl(req, '/admin/browse', { email: cart.customer_email }))}">${escapeHtml(cart.customer_email)}</a>` : '<span class="muted">anonymous</span>'}</td>
+        <td>${items.length}</td>
+        <td>${formatPrice(cart.cart_total)}</td>
+        <td>${steps}</td>
+        <td>${cart.converted ? '<span class="badge ok">converted</span>' : ''}</td>
+        <td>${formatDateTime(cart.updated_at)}</td>
+      </tr>`;
+    }).join('');
+
+    const body = `
+      <form>
+        <select name="status">
+          ${['abandoned', 'converted', 'all'].map(option => `<option${option === status ? ' selected' : ''}>${option}</option>`).join('')}
+        </select>
+        <input name="q" placeholder="Search email" value="${escapeHtml(req.query.q || '')}">
+        ${adminStoreInput(req)}
+        <button>Filter</button>
+      </form><br>
+      <table>
+        <tr><th>Cart</th><th>Email</th><th>Items</th><th>Total</th><th>Recovery emails</th><th>Status</th><th>Updated</th></tr>
+        ${rows || '<tr><td colspan="7" class="muted">No carts</td></tr>'}
+      </table>
+      ${pager(req, page, result.rows.length > ADMIN_PAGE_SIZE)}`;
+
+    res.send(await renderAdmin(req, 'Carts', body));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    adminError(res, error);
   }
 });
 
-app.get('/api/browse-events', async (req, res) => {
+app.get('/admin/carts/:cartId', async (req, res) => {
   try {
+    const storeHash = req.query.store || null;
     const result = await pool.query(`
-      SELECT * FROM browse_events 
-      ORDER BY viewed_at DESC 
-      LIMIT 100
-    `);
-    res.json(result.rows);
+      SELECT * FROM abandoned_carts WHERE cart_id = $1 AND ($2::text IS NULL OR store_hash = $2)
+    `, [req.params.cartId, storeHash]);
+    const cart = result.rows[0];
+    if (!cart) {
+      return res.status(404).send(await renderAdmin(req, 'Cart not found', `<p><a href="${escapeHtml(adminUrl(req, '/admin/carts'))}">Back to carts</a></p>`));
+    }
+
+    const emails = await pool.query(`
+      SELECT * FROM email_log WHERE cart_id = $1 AND ($2::text IS NULL OR store_hash = $2) ORDER BY sent_at
+    `, [cart.cart_id, storeHash]);
+    const items = getCartLineItems(cart.cart_data).map(item => `<tr>
+      <td>${adminImage(item.image_url, 60)}</td>
+      <td>${adminLink(item.url, item.name)}
+        ${(item.options || []).map(option => `<div class="muted">${escapeHtml(option.name)}: ${escapeHtml(option.value)}</div>`).join('')}</td>
+      <td>${escapeHtml(item.sku || '')}</td>
+      <td>${escapeHtml(item.quantity)}</td>
+      <td>${formatPrice(item.sale_price || item.list_price)}</td>
+      <td>${formatPrice(item.extended_sale_price || (item.sale_price || item.list_price) * item.quantity)}</td>
+    </tr>`).join('');
+
+    const emailRows = emails.rows.map(email => `<tr>
+      <td>${formatDateTime(email.sent_at)}</td><td>${escapeHtml(email.email_type)}</td><td>${escapeHtml(email.recipient_email)}</td>
+    </tr>`).join('');
+
+    const body = `
+      <p><a href="${escapeHtml(adminUrl(req, '/admin/carts'))}">← Carts</a></p>
+      <div class="cards">
+        <div class="card"><b>${formatPrice(cart.cart_total)}</b>Total</div>
+        <div class="card"><b>${cart.converted ? 'Yes' : 'No'}</b>Converted</div>
+        <div class="card"><b>${escapeHtml(cart.customer_email || '—')}</b>Email</div>
+      </div>
+      <p class="muted">Cart ${escapeHtml(cart.cart_id)} · created ${formatDateTime(cart.created_at)} · updated ${formatDateTime(cart.updated_at)}</p>
+      <h2>Line items</h2>
+      <table>
+        <tr><th></th><th>Product</th><th>SKU</th><th>Qty</th><th>Price</th><th>Line total</th></tr>
+        ${items || '<tr><td colspan="6" class="muted">No line items</td></tr>'}
+      </table>
+      <h2>Emails</h2>
+      <table>
+        <tr><th>Sent</th><th>Type</th><th>Recipient</th></tr>
+        ${emailRows || '<tr><td colspan="3" class="muted">No emails sent for this cart</td></tr>'}
+      </table>`;
+
+    res.send(await renderAdmin(req, 'Cart detail', body));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    adminError(res, error);
   }
 });
 
-app.get('/api/stats', async (req, res) => {
+// Without a visitor: recent visitors. With ?email= or ?session=: that visitor's timeline.
+app.get('/admin/browse', async (req, res) => {
   try {
-    const cartStats = await pool.query(`
-      SELECT 
-        COUNT(*) FILTER (WHERE converted = FALSE AND customer_email IS NOT NULL AND customer_email != '') as abandoned_with_email,
-        COUNT(*) FILTER (WHERE converted = FALSE AND (customer_email IS NULL OR customer_email = '')) as abandoned_anonymous,
-        COUNT(*) FILTER (WHERE converted = TRUE) as converted
-      FROM abandoned_carts
-      WHERE created_at > NOW() - INTERVAL '30 days'
-    `);
-    
-    const browseStats = await pool.query(`
-      SELECT 
-        COUNT(*) as total_views,
-        COUNT(DISTINCT customer_email) FILTER (WHERE customer_email IS NOT NULL AND customer_email != '') as unique_visitors_with_email,
-        COUNT(*) FILTER (WHERE email_sent = TRUE) as browse_emails_sent
-      FROM browse_events
-      WHERE viewed_at > NOW() - INTERVAL '30 days'
-    `);
-    
-    res.json({
-      carts: cartStats.rows[0],
-      browse: browseStats.rows[0],
-      testMode: TEST_MODE,
-      testEmail: TEST_MODE ? TEST_EMAIL : 'N/A'
-    });
+    const { email, session } = req.query;
+
+    if (!email && !session) {
+      const visitors = await pool.query(`
+        SELECT customer_email, COUNT(*) as views, COUNT(DISTINCT product_id) as products, MAX(viewed_at) as last_viewed,
+               BOOL_OR(email_sent) as emailed
+        FROM browse_events
+        WHERE customer_email IS NOT NULL AND customer_email != ''
+          AND viewed_at > NOW() - INTERVAL '30 days'
+          AND ($1::text IS NULL OR store_hash = $1)
+        GROUP BY customer_email
+        ORDER BY last_viewed DESC
+        LIMIT 100
+      `, [req.query.store || null]);
+
+      const rows = visitors.rows.map(visitor => `<tr>
+        <td><a href="${escapeHtml(adminUrl(req, '/admin/browse', { email: visitor.customer_email }))}">${escapeHtml(visitor.customer_email)}</a></td>
+        <td>${visitor.views}</td><td>${visitor.products}</td>
+        <td>${visitor.emailed ? '<span class="badge ok">sent</span>' : ''}</td>
+        <td>${formatDateTime(visitor.last_viewed)}</td>
+      </tr>`).join('');
+
+      return res.send(await renderAdmin(req, 'Browse visitors', `
+        <form><input name="email" placeholder="Email"> <input name="session" placeholder="Session ID"> ${adminStoreInput(req)}<button>View timeline</button></form><br>
+        <table>
+          <tr><th>Email</th><th>Views</th><th>Products</th><th>Browse email</th><th>Last viewed</th></tr>
+          ${rows || '<tr><td colspan="5" class="muted">No identified visitors in the last 30 days</td></tr>'}
+        </table>`));
+    }
+
+    const events = await pool.query(`
+      SELECT * FROM browse_events
+      WHERE (($1::varchar IS NOT NULL AND customer_email = $1) OR ($2::varchar IS NOT NULL AND session_id = $2))
+        AND ($3::text IS NULL OR store_hash = $3)
+      ORDER BY viewed_at DESC
+      LIMIT 500
+    `, [email || null, session || null, req.query.store || null]);
+
+    // Group the timeline by day
+    let lastDay = null;
+    const rows = events.rows.map(event => {
+      const day = new Date(event.viewed_at).toISOString().slice(0, 10);
+      const heading = day !== lastDay ? `<tr><th colspan="5">${day}</th></tr>` : '';
+      lastDay = day;
+      return `${heading}<tr>
+        <td>${new Date(event.viewed_at).toISOString().slice(11, 16)}</td>
+        <td>${adminImage(event.product_image, 50)}</td>
+        <td>${adminLink(event.product_url, event.product_name || event.product_id)}</td>
+        <td>${formatPrice(event.product_price)}</td>
+        <td>${event.email_sent ? '<span class="badge ok">emailed</span>' : ''} <span class="muted">${escapeHtml(event.session_id || '')}</span></td>
+      </tr>`;
+    }).join('');
+
+    res.send(await renderAdmin(req, `Browse timeline: ${email || session}`, `
+      <p><a href="${escapeHtml(adminUrl(req, '/admin/browse'))}">← Visitors</a>${email ? ` · <a href="${escapeHtml(adminUrl(req, '/admin/carts', { status: 'all', q: email }))}">Carts</a> · <a href="${escapeHtml(adminUrl(req, '/admin/email-log', { q: email }))}">Emails</a>` : ''}</p>
+      <table>${rows || '<tr><td class="muted">No browse events</td></tr>'}</table>`));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    adminError(res, error);
   }
 });
 
-// Manual trigger for testing
-app.post('/api/process-browse', async (req, res) => {
+app.get('/admin/email-log', async (req, res) => {
   try {
-    await processBrowseAbandonment();
-    res.json({ success: true, message: 'Browse processing triggered', testMode: TEST_MODE });
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const storeHash = req.query.store || null;
+    const types = await pool.query(`
+      SELECT DISTINCT email_type FROM email_log WHERE ($1::text IS NULL OR store_hash = $1) ORDER BY email_type
+    `, [storeHash]);
+
+    const result = await pool.query(`
+      SELECT * FROM email_log
+      WHERE ($1::varchar IS NULL OR recipient_email ILIKE $5 ESCAPE '\\' OR cart_id = $1)
+        AND ($2::varchar IS NULL OR email_type = $2)
+        AND ($6::text IS NULL OR store_hash = $6)
+      ORDER BY sent_at DESC
+      LIMIT $3 OFFSET $4
+    `, [req.query.q || null, req.query.type || null, ADMIN_PAGE_SIZE + 1, (page - 1) * ADMIN_PAGE_SIZE, likePattern(req.query.q || ''), storeHash]);
+
+    const rows = result.rows.slice(0, ADMIN_PAGE_SIZE).map(email => `<tr>
+      <td>${formatDateTime(email.sent_at)}</td>
+      <td>${escapeHtml(email.email_type)}</td>
+      <td><a href="${escapeHtml(adminUrl(req, '/admin/browse', { email: email.recipient_email }))}">${escapeHtml(email.recipient_email)}</a></td>
+      <td>${email.cart_id ? `<a href="${escapeHtml(adminUrl(req, `/admin/carts/${encodeURIComponent(email.cart_id)}`))}">${escapeHtml(email.cart_id.slice(0, 8))}…</a>` : ''}</td>
+      <td>${escapeHtml(email.product_id || '')}</td>
+      <td>${email.clicked_at ? 'Clicked' : email.opened_at ? 'Opened' : ''}</td>
+    </tr>`).join('');
+
+    const body = `
+      <form>
+        <input name="q" placeholder="Email or cart ID" value="${escapeHtml(req.query.q || '')}">
+        <select name="type"><option value="">All types</option>
+          ${types.rows.map(row => `<option${row.email_type === req.query.type ? ' selected' : ''}>${escapeHtml(row.email_type)}</option>`).join('')}
+        </select>
+        ${adminStoreInput(req)}
+        <button>Search</button>
+      </form><br>
+      <table>
+        <tr><th>Sent</th><th>Type</th><th>Recipient</th><th>Cart</th><th>Product</th><th>Engagement</th></tr>
+        ${rows || '<tr><td colspan="6" class="muted">No emails found</td></tr>'}
+      </table>
+      ${pager(req, page, result.rows.length > ADMIN_PAGE_SIZE)}`;
+
+    res.send(await renderAdmin(req, 'Email log', body));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    adminError(res, error);
   }
 });
 
@@ -801,13 +6054,187 @@ app.post('/api/process-browse', async (req, res) => {
 // ===================
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, async () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`TEST MODE: ${TEST_MODE ? 'ON - Only sending to ' + TEST_EMAIL : 'OFF - Sending to all'}`);
-  console.log('Features:');
-  console.log('  - Browse abandonment emails (via MailerLite)');
-  console.log('  - Cart tracking (for BigCommerce abandoned cart emails)');
-  console.log('  - Popup email → BigCommerce cart sync');
-  await initDatabase();
-  console.log('Browse abandonment scheduler started - runs every 10 minutes');
-});
+async function startServer() {
+  // Don't serve traffic or run jobs against an out-of-date schema
+  try {
+    if (AUTO_MIGRATE) {
+      const count = await runMigrations();
+      console.log(count > 0 ? `Applied ${count} migration(s)` : 'Database schema is up to date');
+    }
+
+    const status = await getMigrationStatus();
+    const pending = status.filter(migration => migration.state === 'pending');
+    if (pending.length > 0) {
+      console.error(`Refusing to start: ${pending.length} pending migration(s). Run "npm run migrate" first.`);
+      process.exit(1);
+    }
+    for (const migration of status.filter(m => m.state === 'modified' || m.state === 'missing')) {
+      console.warn(`WARNING: migration ${migration.version}_${migration.name} is ${migration.state}`);
+    }
+  } catch (error) {
+    console.error('Refusing to start: database migration failed:', error);
+    process.exit(1);
+  }
+
+  try {
+    await getSettings();
+    await registerEnvStore();
+  } catch (error) {
+    console.error('Refusing to start: could not load settings or stores:', error);
+    process.exit(1);
+  }
+
+  scheduledTasks.forEach(task => task.start());
+
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    if (!BC_WEBHOOK_SECRET) {
+      console.warn('WARNING: BC_WEBHOOK_SECRET is not set - all BigCommerce webhooks will be rejected');
+    }
+    if (!UNSUBSCRIBE_SECRET) {
+      console.warn('WARNING: UNSUBSCRIBE_SECRET is not set - app-rendered emails cannot be sent');
+    }
+    if (!RECOVERY_LINK_SECRET) {
+      console.warn('WARNING: RECOVERY_LINK_SECRET is not set - cart emails link to the store cart page instead of /recover');
+    }
+    if (imageTokenKeys.length === 0) {
+      console.warn('WARNING: IMAGE_TOKEN_KEYS is not set - emails show the placeholder instead of product images');
+    }
+    if (BC_CLIENT_ID && (!BC_CLIENT_SECRET || !TOKEN_ENCRYPTION_KEY)) {
+      console.warn('WARNING: BC_CLIENT_SECRET and TOKEN_ENCRYPTION_KEY are required for app installs');
+    }
+    const settings = settingsCache;
+    console.log(`TEST MODE: ${settings.test_mode ? `ON - Only sending to ${settings.test_allowlist.join(', ') || 'nobody (empty allowlist)'}` : 'OFF - Sending to all'}`);
+    console.log('Features:');
+    console.log(`  - Browse abandonment emails (via ${emailProvider.name})`);
+    console.log('  - Cart tracking (for BigCommerce abandoned cart emails)');
+    console.log(`  - Cart recovery emails at ${settings.cart_email_delays.join('h, ')}h (via ${emailProvider.name})`);
+    console.log('  - Popup email → BigCommerce cart sync');
+    console.log(`  - BigCommerce app install at ${APP_URL}/bigcommerce/auth${BC_STORE_HASH ? ` (plus env store ${BC_STORE_HASH})` : ''}`);
+    console.log(`  - Admin dashboard at ${APP_URL}/admin`);
+    console.log(`  - Storefront tracker v${TRACKER_VERSION} at ${APP_URL}/tracker.js`);
+    console.log('Browse abandonment and cart recovery scheduler started - runs every 10 minutes');
+  });
+}
+
+// ===================
+// COMMAND LINE
+// ===================
+// Usage: node index.js <command> [args]
+const CLI_COMMANDS = {
+  'migrate': async () => {
+    const count = await runMigrations();
+    console.log(count > 0 ? `Applied ${count} migration(s)` : 'Database schema is up to date');
+  },
+
+  'migrate:status': async () => {
+    const status = await getMigrationStatus();
+    for (const migration of status) {
+      const version = String(migration.version).padStart(3, '0');
+      const appliedAt = migration.appliedAt ? new Date(migration.appliedAt).toISOString() : '';
+      console.log(`${version}  ${migration.state.padEnd(8)}  ${migration.name.padEnd(40)}  ${appliedAt}`);
+    }
+    const pending = status.filter(migration => migration.state === 'pending').length;
+    console.log(pending > 0 ? `${pending} pending migration(s)` : 'Database schema is up to date');
+  },
+
+  // keys:create <name> <read|operator>
+  'keys:create': async ([name, role = 'read']) => {
+    if (!name) {
+      throw new Error('Usage: keys:create <name> <read|operator>');
+    }
+    const { id, key } = await createApiKey(name, role);
+    console.log(`Created ${role} key #${id} for "${name}". Store it now - it cannot be shown again:`);
+    console.log(key);
+  },
+
+  'keys:list': async () => {
+    const result = await pool.query('SELECT * FROM api_keys ORDER BY id');
+    for (const key of result.rows) {
+      const state = key.revoked_at ? `revoked ${new Date(key.revoked_at).toISOString()}` : 'active';
+      const lastUsed = key.last_used_at ? new Date(key.last_used_at).toISOString() : 'never';
+      console.log(`#${key.id}  ${key.key_prefix}…  ${key.role.padEnd(8)}  ${key.name.padEnd(30)}  ${state}  last used ${lastUsed}`);
+    }
+    if (result.rows.length === 0) {
+      console.log('No API keys - create one with keys:create');
+    }
+  },
+
+  // subject:export <email> [file.json|file.zip] - prints JSON without a file
+  'subject:export': async ([email, file]) => {
+    if (!email) {
+      throw new Error('Usage: subject:export <email> [file.json|file.zip]');
+    }
+    requireSubjectHashSecret();
+    const data = await exportSubject(parseSubjectEmail(email), 'cli');
+    if (!file) {
+      console.log(JSON.stringify(data, null, 2));
+      return;
+    }
+    fs.writeFileSync(file, file.endsWith('.zip') ? subjectExportZip(data) : JSON.stringify(data, null, 2));
+    console.log(`Wrote export #${data.requestId} to ${file}`);
+  },
+
+  // subject:erase <email> [delete|anonymize]
+  'subject:erase': async ([email, mode = 'delete']) => {
+    if (!email) {
+      throw new Error('Usage: subject:erase <email> [delete|anonymize]');
+    }
+    requireSubjectHashSecret();
+    const result = await eraseSubject(parseSubjectEmail(email), mode, 'cli');
+    for (const [table, count] of Object.entries(result.rows)) {
+      if (count > 0) console.log(`${table.padEnd(22)} ${count}`);
+    }
+    console.log(`Request #${result.requestId}: ${mode} done, ${result.esp.provider} ${result.esp.status}`);
+    if (result.esp.status === 'failed') {
+      throw new Error('The email provider did not confirm the erasure - run the command again to retry');
+    }
+  },
+
+  // Same as the nightly job
+  'retention:run': async () => {
+    const purged = await purgeExpiredData();
+    for (const [policy, count] of Object.entries(purged)) {
+      console.log(`${policy.padEnd(18)} ${count}`);
+    }
+  },
+
+  // keys:revoke <id>
+  'keys:revoke': async ([id]) => {
+    const result = await pool.query(`
+      UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP 
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING name
+    `, [parseInt(id)]);
+    if (result.rows.length === 0) {
+      throw new Error(`No active key #${id}`);
+    }
+    console.log(`Revoked key #${id} (${result.rows[0].name})`);
+  }
+};
+
+async function runCli(command, args) {
+  const handler = CLI_COMMANDS[command];
+  if (!handler) {
+    console.error(`Unknown command: ${command}`);
+    console.error(`Available commands: ${Object.keys(CLI_COMMANDS).join(', ')}`);
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+  try {
+    await handler(args);
+  } catch (error) {
+    console.error(error.message);
+    exitCode = 1;
+  }
+  await pool.end();
+  process.exit(exitCode);
+}
+
+const command = process.argv[2];
+if (command) {
+  runCli(command, process.argv.slice(3));
+} else {
+  startServer();
+}
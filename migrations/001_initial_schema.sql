@@ -0,0 +1,42 @@
+-- Original schema (matches databases created by the first initDatabase)
+CREATE TABLE IF NOT EXISTS abandoned_carts (
+  id SERIAL PRIMARY KEY,
+  cart_id VARCHAR(255) UNIQUE NOT NULL,
+  customer_email VARCHAR(255),
+  customer_id INTEGER,
+  cart_data JSONB,
+  cart_total DECIMAL(10,2),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  converted BOOLEAN DEFAULT FALSE,
+  email_sent_1 BOOLEAN DEFAULT FALSE,
+  email_sent_2 BOOLEAN DEFAULT FALSE,
+  email_sent_3 BOOLEAN DEFAULT FALSE
+);
+
+CREATE TABLE IF NOT EXISTS browse_events (
+  id SERIAL PRIMARY KEY,
+  session_id VARCHAR(255),
+  customer_email VARCHAR(255),
+  product_id INTEGER,
+  product_name VARCHAR(255),
+  product_url VARCHAR(500),
+  product_image VARCHAR(500),
+  viewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  added_to_cart BOOLEAN DEFAULT FALSE,
+  email_sent BOOLEAN DEFAULT FALSE
+);
+
+CREATE TABLE IF NOT EXISTS email_log (
+  id SERIAL PRIMARY KEY,
+  email_type VARCHAR(50),
+  recipient_email VARCHAR(255),
+  subject VARCHAR(255),
+  sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  cart_id VARCHAR(255),
+  product_id INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_abandoned_carts_email ON abandoned_carts(customer_email);
+CREATE INDEX IF NOT EXISTS idx_abandoned_carts_converted ON abandoned_carts(converted);
+CREATE INDEX IF NOT EXISTS idx_browse_events_email ON browse_events(customer_email);
@@ -0,0 +1,4 @@
+-- Product price for browse abandonment emails (never reached databases created before it was added)
+ALTER TABLE browse_events ADD COLUMN IF NOT EXISTS product_price DECIMAL(10,2);
+
+CREATE INDEX IF NOT EXISTS idx_browse_events_viewed_at ON browse_events(viewed_at);
@@ -0,0 +1,9 @@
+-- Seen BigCommerce deliveries, so retries aren't processed twice
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  scope VARCHAR(100),
+  hash VARCHAR(255) NOT NULL,
+  webhook_created_at BIGINT NOT NULL,
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (hash, webhook_created_at)
+);
@@ -0,0 +1,17 @@
+-- Durable queue for webhook processing
+CREATE TABLE IF NOT EXISTS webhook_jobs (
+  id SERIAL PRIMARY KEY,
+  job_type VARCHAR(50) NOT NULL,
+  payload JSONB,
+  status VARCHAR(20) DEFAULT 'pending',
+  attempts INTEGER DEFAULT 0,
+  last_error TEXT,
+  result VARCHAR(255),
+  run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  locked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_jobs_status_run_at ON webhook_jobs(status, run_at);
@@ -0,0 +1,8 @@
+-- Global suppression list, checked before any send or ESP contact
+CREATE TABLE IF NOT EXISTS suppressions (
+  email VARCHAR(255) PRIMARY KEY,
+  reason VARCHAR(20) NOT NULL CHECK (reason IN ('unsubscribe', 'bounce', 'complaint', 'manual')),
+  source VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,14 @@
+-- Audit trail for every attempt to link a storefront email to a BigCommerce cart
+CREATE TABLE IF NOT EXISTS cart_link_audit (
+  id SERIAL PRIMARY KEY,
+  cart_id VARCHAR(255),
+  email VARCHAR(255),
+  session_id VARCHAR(255),
+  outcome VARCHAR(20) NOT NULL,
+  reason VARCHAR(255),
+  ip_address VARCHAR(64),
+  user_agent VARCHAR(500),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_cart_link_audit_cart_id ON cart_link_audit(cart_id);
@@ -0,0 +1,11 @@
+-- Which email a storefront session belongs to, so anonymous browse events can be attributed
+CREATE TABLE IF NOT EXISTS session_contacts (
+  session_id VARCHAR(255) PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  source VARCHAR(50),
+  first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_contacts_email ON session_contacts(email);
+CREATE INDEX IF NOT EXISTS idx_browse_events_session_id ON browse_events(session_id);
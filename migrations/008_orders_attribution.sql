@@ -0,0 +1,22 @@
+-- Orders with the email sends they're attributed to (first and last touch inside the window)
+CREATE TABLE IF NOT EXISTS orders (
+  order_id INTEGER PRIMARY KEY,
+  cart_id VARCHAR(255),
+  customer_email VARCHAR(255),
+  total DECIMAL(10,2),
+  currency VARCHAR(3),
+  line_items JSONB,
+  ordered_at TIMESTAMP,
+  first_touch_email_id INTEGER REFERENCES email_log(id) ON DELETE SET NULL,
+  last_touch_email_id INTEGER REFERENCES email_log(id) ON DELETE SET NULL,
+  attribution_window_days INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_orders_customer_email ON orders(customer_email);
+CREATE INDEX IF NOT EXISTS idx_orders_first_touch ON orders(first_touch_email_id);
+CREATE INDEX IF NOT EXISTS idx_orders_last_touch ON orders(last_touch_email_id);
+CREATE INDEX IF NOT EXISTS idx_email_log_recipient ON email_log(LOWER(recipient_email));
+CREATE INDEX IF NOT EXISTS idx_email_log_cart_id ON email_log(cart_id);
+CREATE INDEX IF NOT EXISTS idx_email_log_sent_at ON email_log(sent_at);
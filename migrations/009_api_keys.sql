@@ -0,0 +1,11 @@
+-- API keys for /api and /admin. Only a SHA-256 hash of each key is stored.
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  key_prefix VARCHAR(20) NOT NULL,
+  key_hash VARCHAR(64) UNIQUE NOT NULL,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('read', 'operator')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP
+);
@@ -0,0 +1,7 @@
+-- Runtime settings editable through /api/settings (defaults live in SETTINGS_SCHEMA)
+CREATE TABLE IF NOT EXISTS settings (
+  key VARCHAR(100) PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_by VARCHAR(255)
+);
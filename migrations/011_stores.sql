@@ -0,0 +1,30 @@
+-- Installed BigCommerce stores; every tracked row belongs to one
+CREATE TABLE IF NOT EXISTS stores (
+  store_hash VARCHAR(50) PRIMARY KEY,
+  name VARCHAR(255),
+  store_url VARCHAR(500),
+  access_token TEXT,                            -- AES-256-GCM encrypted; NULL for the env store and after uninstall
+  scope TEXT,
+  owner_email VARCHAR(255),
+  source VARCHAR(20) NOT NULL DEFAULT 'oauth',  -- oauth | env
+  status VARCHAR(20) NOT NULL DEFAULT 'active', -- active | uninstalled
+  installed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  uninstalled_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Existing rows are assigned to BC_STORE_HASH on startup
+ALTER TABLE abandoned_carts ADD COLUMN IF NOT EXISTS store_hash VARCHAR(50);
+ALTER TABLE browse_events ADD COLUMN IF NOT EXISTS store_hash VARCHAR(50);
+ALTER TABLE email_log ADD COLUMN IF NOT EXISTS store_hash VARCHAR(50);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS store_hash VARCHAR(50);
+ALTER TABLE cart_link_audit ADD COLUMN IF NOT EXISTS store_hash VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_abandoned_carts_store_email ON abandoned_carts(store_hash, customer_email);
+CREATE INDEX IF NOT EXISTS idx_browse_events_store_email ON browse_events(store_hash, customer_email);
+CREATE INDEX IF NOT EXISTS idx_email_log_store ON email_log(store_hash);
+
+-- Order IDs are only unique within a store
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_pkey;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS id SERIAL PRIMARY KEY;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_store_order ON orders(store_hash, order_id);
@@ -0,0 +1,17 @@
+-- Catalog details per store, cached from the BigCommerce API for browse tracking and emails
+CREATE TABLE IF NOT EXISTS products (
+  store_hash VARCHAR(50) NOT NULL,
+  product_id INTEGER NOT NULL,
+  name VARCHAR(255),
+  url VARCHAR(500),
+  image_url VARCHAR(500),
+  price DECIMAL(10,2),
+  sale_price DECIMAL(10,2),
+  inventory_level INTEGER,
+  inventory_tracking VARCHAR(20),   -- none | product | variant
+  is_visible BOOLEAN,
+  availability VARCHAR(20),         -- available | disabled | preorder
+  deleted BOOLEAN DEFAULT FALSE,    -- 404 from the catalog
+  fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (store_hash, product_id)
+);
@@ -0,0 +1,31 @@
+-- Single-use BigCommerce coupon codes issued with cart recovery emails
+CREATE TABLE IF NOT EXISTS recovery_promotions (
+  store_hash VARCHAR(50) NOT NULL,
+  discount_key VARCHAR(50) NOT NULL,   -- e.g. percentage:10 - one promotion per store and discount
+  promotion_id INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (store_hash, discount_key)
+);
+
+CREATE TABLE IF NOT EXISTS recovery_coupons (
+  id SERIAL PRIMARY KEY,
+  store_hash VARCHAR(50) NOT NULL,
+  cart_id VARCHAR(255) NOT NULL,
+  email VARCHAR(255),
+  step INTEGER,
+  code VARCHAR(50) NOT NULL,
+  promotion_id INTEGER NOT NULL,
+  code_id INTEGER,
+  discount_type VARCHAR(20) NOT NULL,  -- percentage | fixed
+  amount DECIMAL(10,2) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'redeemed', 'expired')),
+  expires_at TIMESTAMP NOT NULL,
+  order_id INTEGER,
+  redeemed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (store_hash, code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recovery_coupons_cart ON recovery_coupons(cart_id);
+CREATE INDEX IF NOT EXISTS idx_recovery_coupons_active_expiry ON recovery_coupons(expires_at) WHERE status = 'active';
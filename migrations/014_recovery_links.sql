@@ -0,0 +1,17 @@
+-- Clicks on signed /recover/:token links in cart recovery emails
+CREATE TABLE IF NOT EXISTS recovery_clicks (
+  id SERIAL PRIMARY KEY,
+  store_hash VARCHAR(50),
+  cart_id VARCHAR(255),
+  step INTEGER,
+  outcome VARCHAR(20) NOT NULL,      -- live | recreated | converted | expired | failed
+  new_cart_id VARCHAR(255),
+  ip_address VARCHAR(64),
+  user_agent VARCHAR(500),
+  clicked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_recovery_clicks_cart_id ON recovery_clicks(cart_id);
+
+-- A recreated cart takes over the recovery sequence from the expired one
+ALTER TABLE abandoned_carts ADD COLUMN IF NOT EXISTS replaced_by VARCHAR(255);
@@ -0,0 +1,32 @@
+-- Open and click tracking. Every send gets a send_id used by the tracking pixel and click redirects.
+ALTER TABLE email_log ADD COLUMN IF NOT EXISTS send_id VARCHAR(36);
+ALTER TABLE email_log ADD COLUMN IF NOT EXISTS opened_at TIMESTAMP;       -- first human open
+ALTER TABLE email_log ADD COLUMN IF NOT EXISTS clicked_at TIMESTAMP;      -- first human click
+ALTER TABLE email_log ADD COLUMN IF NOT EXISTS open_count INTEGER DEFAULT 0;
+ALTER TABLE email_log ADD COLUMN IF NOT EXISTS click_count INTEGER DEFAULT 0;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_log_send_id ON email_log(send_id);
+
+-- Destinations behind /t/c/:sendId/:link (the link is the email field name, e.g. cart_recovery_url)
+CREATE TABLE IF NOT EXISTS email_links (
+  send_id VARCHAR(36) NOT NULL,
+  link VARCHAR(50) NOT NULL,
+  url TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (send_id, link)
+);
+
+-- Every open/click, including ones flagged as bots or link scanners
+CREATE TABLE IF NOT EXISTS email_events (
+  id SERIAL PRIMARY KEY,
+  send_id VARCHAR(36) NOT NULL,
+  event_type VARCHAR(10) NOT NULL CHECK (event_type IN ('open', 'click')),
+  source VARCHAR(20),                  -- pixel | image | link name for clicks
+  is_bot BOOLEAN DEFAULT FALSE,
+  bot_reason VARCHAR(100),
+  ip_address VARCHAR(64),
+  user_agent VARCHAR(500),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_events_send_id ON email_events(send_id, created_at);
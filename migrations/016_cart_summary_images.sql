@@ -0,0 +1,11 @@
+-- Rendered /cart-summary-image PNGs, one per cart. version changes whenever the cart's items do.
+CREATE TABLE IF NOT EXISTS cart_summary_images (
+  store_hash VARCHAR(50) NOT NULL,
+  cart_id VARCHAR(255) NOT NULL,
+  version VARCHAR(64) NOT NULL,
+  png BYTEA NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (store_hash, cart_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cart_summary_images_created_at ON cart_summary_images(created_at);
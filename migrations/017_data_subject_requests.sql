@@ -0,0 +1,14 @@
+-- Audit trail of fulfilled access (export) and erasure requests. Holds no personal data: the
+-- address is kept only as a SHA-256 hash, so a repeat request can be matched to earlier ones.
+CREATE TABLE IF NOT EXISTS data_subject_requests (
+  id SERIAL PRIMARY KEY,
+  request_type VARCHAR(20) NOT NULL CHECK (request_type IN ('export', 'erase')),
+  mode VARCHAR(20) CHECK (mode IN ('delete', 'anonymize')),   -- erasures only
+  email_hash VARCHAR(64) NOT NULL,
+  row_counts JSONB,                                             -- rows exported or erased per table
+  esp_status VARCHAR(20),                                       -- erasures: forgotten | failed
+  requested_by VARCHAR(255),                                    -- API key name, or "cli"
+  completed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_email_hash ON data_subject_requests(email_hash);
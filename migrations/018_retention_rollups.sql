@@ -0,0 +1,50 @@
+-- Daily totals of rows deleted by the retention purge. Reports add them to what's still in the
+-- live tables, so every row is counted once: live until it's purged, then here.
+-- store_hash is '' for rows that never had a store.
+CREATE TABLE IF NOT EXISTS daily_browse_stats (
+  store_hash VARCHAR(50) NOT NULL,
+  day DATE NOT NULL,                                -- viewed_at
+  total_views INTEGER NOT NULL DEFAULT 0,
+  views_with_email INTEGER NOT NULL DEFAULT 0,
+  browse_emails_sent INTEGER NOT NULL DEFAULT 0,    -- views covered by a browse email
+  PRIMARY KEY (store_hash, day)
+);
+
+CREATE TABLE IF NOT EXISTS daily_cart_stats (
+  store_hash VARCHAR(50) NOT NULL,
+  day DATE NOT NULL,                                -- created_at
+  carts INTEGER NOT NULL DEFAULT 0,
+  with_email INTEGER NOT NULL DEFAULT 0,
+  converted INTEGER NOT NULL DEFAULT 0,
+  email_1_sent INTEGER NOT NULL DEFAULT 0,
+  email_2_sent INTEGER NOT NULL DEFAULT 0,
+  email_3_sent INTEGER NOT NULL DEFAULT 0,
+  email_1_converted INTEGER NOT NULL DEFAULT 0,
+  email_2_converted INTEGER NOT NULL DEFAULT 0,
+  email_3_converted INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (store_hash, day)
+);
+
+-- Orders attributed to the purged sends, per attribution model
+CREATE TABLE IF NOT EXISTS daily_email_stats (
+  store_hash VARCHAR(50) NOT NULL,
+  day DATE NOT NULL,                                -- sent_at
+  email_type VARCHAR(50) NOT NULL,
+  sent INTEGER NOT NULL DEFAULT 0,
+  opened INTEGER NOT NULL DEFAULT 0,
+  clicked INTEGER NOT NULL DEFAULT 0,
+  first_touch_orders INTEGER NOT NULL DEFAULT 0,
+  first_touch_revenue DECIMAL(12,2) NOT NULL DEFAULT 0,
+  last_touch_orders INTEGER NOT NULL DEFAULT 0,
+  last_touch_revenue DECIMAL(12,2) NOT NULL DEFAULT 0,
+  PRIMARY KEY (store_hash, day, email_type)
+);
+
+-- One row per retention policy, updated by each purge run
+CREATE TABLE IF NOT EXISTS retention_runs (
+  policy VARCHAR(50) PRIMARY KEY,
+  last_run_at TIMESTAMP,
+  last_purged INTEGER DEFAULT 0,
+  total_purged BIGINT DEFAULT 0,
+  last_error TEXT
+);
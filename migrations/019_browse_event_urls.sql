@@ -0,0 +1,4 @@
+-- Product URLs and images come from the public tracker; drop anything stored before
+-- they were limited to http(s) so it can't end up in an admin link or an email.
+UPDATE browse_events SET product_url = NULL WHERE product_url !~* '^https?://';
+UPDATE browse_events SET product_image = NULL WHERE product_image !~* '^https?://';
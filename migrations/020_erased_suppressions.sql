@@ -0,0 +1,9 @@
+-- Suppressions of erased data subjects. The address is gone; only its HMAC-SHA256 keyed with
+-- SUBJECT_HASH_SECRET is kept, which isSuppressed() checks alongside the suppressions table.
+-- data_subject_requests.email_hash uses the same HMAC from now on; rows written before this
+-- migration hold an unkeyed SHA-256 and no longer match the ?email filter.
+CREATE TABLE IF NOT EXISTS erased_suppressions (
+  email_hash VARCHAR(64) PRIMARY KEY,
+  reason VARCHAR(20) NOT NULL CHECK (reason IN ('unsubscribe', 'bounce', 'complaint', 'manual')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
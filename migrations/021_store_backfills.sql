@@ -0,0 +1,7 @@
+-- Tables whose pre-multi-store rows (store_hash IS NULL) have been assigned to BC_STORE_HASH.
+-- The assignment needs the env store, so registerEnvStore() does it on startup, once per table.
+CREATE TABLE IF NOT EXISTS store_backfills (
+  table_name VARCHAR(50) PRIMARY KEY,
+  store_hash VARCHAR(50) NOT NULL,
+  completed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
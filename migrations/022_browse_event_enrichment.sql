@@ -0,0 +1,6 @@
+-- Catalog details are filled in after the view is stored (enrichBrowseEvents). Views from
+-- before this were enriched when they were tracked.
+ALTER TABLE browse_events ADD COLUMN IF NOT EXISTS enriched_at TIMESTAMP;
+UPDATE browse_events SET enriched_at = viewed_at WHERE enriched_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_browse_events_unenriched ON browse_events(store_hash, product_id) WHERE enriched_at IS NULL;
@@ -0,0 +1,8 @@
+-- The retention purge's range scans (see RETENTION_POLICIES)
+CREATE INDEX IF NOT EXISTS idx_abandoned_carts_updated_at ON abandoned_carts(updated_at);
+CREATE INDEX IF NOT EXISTS idx_email_events_created_at ON email_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_email_links_created_at ON email_links(created_at);
+CREATE INDEX IF NOT EXISTS idx_cart_link_audit_created_at ON cart_link_audit(created_at);
+CREATE INDEX IF NOT EXISTS idx_recovery_clicks_clicked_at ON recovery_clicks(clicked_at);
+CREATE INDEX IF NOT EXISTS idx_session_contacts_last_seen_at ON session_contacts(last_seen_at);
+CREATE INDEX IF NOT EXISTS idx_orders_created_at_with_email ON orders(created_at) WHERE customer_email IS NOT NULL;
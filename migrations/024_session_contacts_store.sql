@@ -0,0 +1,17 @@
+-- Session bindings belong to a store. Existing rows take the store of the session's browse events;
+-- rows with none keep a NULL store_hash, match no lookups and age out under retention.
+ALTER TABLE session_contacts ADD COLUMN IF NOT EXISTS store_hash VARCHAR(50);
+
+UPDATE session_contacts sc
+SET store_hash = (
+  SELECT be.store_hash FROM browse_events be
+  WHERE be.session_id = sc.session_id AND be.store_hash IS NOT NULL
+  ORDER BY be.viewed_at DESC
+  LIMIT 1
+)
+WHERE sc.store_hash IS NULL;
+
+UPDATE session_contacts SET email = LOWER(TRIM(email));
+
+ALTER TABLE session_contacts DROP CONSTRAINT IF EXISTS session_contacts_pkey;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_session_contacts_store_session ON session_contacts(store_hash, session_id);
@@ -0,0 +1,3 @@
+-- Views the browse processor skipped because none of the shopper's products were still for sale.
+-- They stay out of its candidate query; a newer view brings the shopper (and these products) back.
+ALTER TABLE browse_events ADD COLUMN IF NOT EXISTS browse_skipped_at TIMESTAMP;
@@ -0,0 +1,3 @@
+-- 017's header predates keyed hashes (see 020); record the current format on the column itself
+COMMENT ON COLUMN data_subject_requests.email_hash IS
+  'HMAC-SHA256 of the lowercased address keyed with SUBJECT_HASH_SECRET (rows from before migration 020: unkeyed SHA-256)';
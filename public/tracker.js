@@ -0,0 +1,178 @@
+/*
+ * Peek-a-Boo storefront tracker
+ * Served by the app at /tracker.js?store={hash} with the store config passed to the wrapper call at the bottom.
+ * Installing the app adds it to the storefront; manual installs add it to the theme footer once:
+ * <script src="https://your-app.railway.app/tracker.js?store=your_store_hash" async></script>
+ * Written in ES5 so it runs on every browser the storefront supports.
+ */
+(function (config) {
+  if (window.PeekabooTracker) return;
+
+  var selectors = config.selectors;
+  var queue = [];
+  var flushTimer = null;
+
+  function storageGet(key) {
+    try { return window.localStorage.getItem(key); } catch (e) { return null; }
+  }
+
+  function storageSet(key, value) {
+    try { window.localStorage.setItem(key, value); } catch (e) { /* private mode */ }
+  }
+
+  function getSessionId() {
+    var sessionId = storageGet(config.sessionKey);
+    if (!sessionId) {
+      sessionId = 'session_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+      storageSet(config.sessionKey, sessionId);
+    }
+    return sessionId;
+  }
+
+  function getEmail() {
+    return storageGet(config.emailKey) || null;
+  }
+
+  function textOf(selector) {
+    var el = selector && document.querySelector(selector);
+    return el ? (el.textContent || '').trim() : null;
+  }
+
+  function parsePrice(value) {
+    if (!value) return null;
+    var price = parseFloat(value.replace(/[^0-9.]/g, ''));
+    return isNaN(price) ? null : price;
+  }
+
+  function getProductImage() {
+    var el = selectors.productImage && document.querySelector(selectors.productImage);
+    if (!el) return null;
+    return el.getAttribute('src') || el.getAttribute('data-src') || null;
+  }
+
+  // sendBeacon survives page unloads; text/plain keeps it a CORS "simple" request
+  function send(path, payload) {
+    var url = config.endpoint + path;
+    var body = JSON.stringify(payload);
+
+    if (navigator.sendBeacon) {
+      try {
+        if (navigator.sendBeacon(url, new Blob([body], { type: 'text/plain' }))) return;
+      } catch (e) { /* fall through to fetch */ }
+    }
+
+    if (window.fetch) {
+      window.fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' },
+        body: body,
+        keepalive: true
+      }).catch(function () {});
+    }
+  }
+
+  function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (queue.length === 0) return;
+    send('/track/product-view', { trackerVersion: config.version, storeHash: config.storeHash, events: queue.splice(0, queue.length) });
+  }
+
+  function enqueue(event) {
+    queue.push(event);
+    if (queue.length >= config.batchSize) {
+      flush();
+    } else if (!flushTimer) {
+      flushTimer = setTimeout(flush, config.flushIntervalMs);
+    }
+  }
+
+  function trackProductView() {
+    var productEl = document.querySelector(selectors.productId);
+    if (!productEl) return;
+
+    var productId = productEl.getAttribute(selectors.productIdAttribute) || productEl.value;
+    if (!productId) return;
+
+    enqueue({
+      sessionId: getSessionId(),
+      email: getEmail(),
+      productId: productId,
+      productName: textOf(selectors.productName),
+      productUrl: window.location.href,
+      productImage: getProductImage(),
+      productPrice: parsePrice(textOf(selectors.productPrice))
+    });
+  }
+
+  // Ask the storefront (same origin, session cookie) which cart is this shopper's.
+  // The add-to-cart request may still be in flight, so retry until the product shows up.
+  function findCart(productId, attempt, callback) {
+    if (!window.fetch) return;
+
+    window.fetch('/api/storefront/carts', { credentials: 'same-origin' })
+      .then(function (response) { return response.json(); })
+      .then(function (carts) {
+        var cart = carts && carts[0];
+        var items = cart ? [].concat(cart.lineItems.physicalItems || [], cart.lineItems.digitalItems || []) : [];
+        var hasProduct = items.some(function (item) { return String(item.productId) === String(productId); });
+
+        if (cart && (hasProduct || !productId)) {
+          callback(cart.id);
+        } else if (attempt < config.cartLookupAttempts) {
+          setTimeout(function () { findCart(productId, attempt + 1, callback); }, config.cartLookupDelayMs);
+        }
+      })
+      .catch(function () {});
+  }
+
+  function trackAddToCart(event) {
+    var form = event.target;
+    if (!form || !form.matches || !form.matches(selectors.addToCartForm)) return;
+
+    var email = getEmail();
+    if (!email) return;
+
+    var productInput = form.querySelector('[name="product_id"]');
+    var productId = productInput ? productInput.value : null;
+
+    setTimeout(function () {
+      findCart(productId, 1, function (cartId) {
+        send('/track/add-to-cart', {
+          trackerVersion: config.version,
+          storeHash: config.storeHash,
+          sessionId: getSessionId(),
+          email: email,
+          cartId: cartId,
+          productId: productId
+        });
+      });
+    }, config.cartLookupDelayMs);
+  }
+
+  document.addEventListener('submit', trackAddToCart, true);
+  document.addEventListener('visibilitychange', function () {
+    if (document.visibilityState === 'hidden') flush();
+  });
+  window.addEventListener('pagehide', flush);
+
+  window.PeekabooTracker = {
+    version: config.version,
+    // Call from the popup/newsletter form once the shopper gives an email
+    identify: function (email) {
+      if (email) storageSet(config.emailKey, email);
+    },
+    // Send with /popup/signup so earlier anonymous views are tied to the email
+    getSessionId: getSessionId,
+    trackProductView: trackProductView,
+    flush: flush
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', trackProductView);
+  } else {
+    trackProductView();
+  }
+})(__TRACKER_CONFIG__);